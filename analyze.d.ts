@@ -0,0 +1,400 @@
+// Type definitions for the programmatic API of analyze.js and the JSON report it produces.
+// The report shape is versioned by `schemaVersion`; it is bumped on incompatible changes.
+
+export declare const REPORT_SCHEMA_VERSION: 1;
+
+export type BucketKey = 'js' | 'ts' | 'mf';
+export type QualityLevel = 'missing' | 'stub' | 'partial' | 'complete';
+
+export interface JSDocQuality {
+    level: QualityLevel;
+    /** e.g. `missing-summary`, `missing-param:x`, `stale-param:x`, `missing-returns`; MF exposes use `undocumented-export:x` */
+    issues: string[];
+}
+
+export interface Bucket {
+    total: number;
+    documented: number;
+    undocumented: number;
+    list: string[];
+    documentedList: string[];
+    undocumentedList: string[];
+    quality: Record<string, JSDocQuality>;
+    qualityLevels: Record<QualityLevel, number>;
+    /** Declaring file of each API, relative to the package root. */
+    sources: Record<string, string>;
+    /** Declaring file and position of each API's name (1-based); `line`/`column` are `null` when unknown, e.g. for MF exposes. */
+    locations: Record<string, SourceLocation>;
+    /** Stability tags of the APIs that have any (`@public`/`@beta`/`@alpha`/`@experimental`/`@deprecated`/`@since`). */
+    lifecycle: Record<string, Lifecycle>;
+    /** API names grouped by stability; APIs without a stability tag are `untagged`. */
+    stability: Record<StabilityGroup, string[]>;
+    stabilityCounts: Record<StabilityGroup, number>;
+    /** `@since` version per API. */
+    since: Record<string, string>;
+    /** Where each API is documented; absent when external docs are disabled (`externalDocs: false`). */
+    docSources?: Record<string, DocSource>;
+    docSourceCounts?: Record<DocSource, number>;
+    /** README/docs/Storybook locations that mention each API (at most 10 per API). */
+    external?: Record<string, ExternalDocRef[]>;
+}
+
+/** `inline`: JSDoc only, `external`: README/docs/Storybook only, `both`, or `none`. */
+export type DocSource = 'inline' | 'external' | 'both' | 'none';
+
+export interface ExternalDocRef {
+    /** Relative to the package root. */
+    file: string;
+    /** A Markdown heading, a fenced code block, or a Storybook `title`/`component`. */
+    kind: 'heading' | 'code' | 'story';
+}
+
+export interface SourceLocation {
+    /** Relative to the package root. */
+    file: string;
+    line: number | null;
+    column: number | null;
+}
+
+export type StabilityGroup = 'public' | 'beta' | 'alpha' | 'experimental' | 'deprecated' | 'untagged';
+
+export interface Lifecycle {
+    /** `deprecated` wins over the other stability tags. */
+    stability: StabilityGroup;
+    since: string | null;
+    /** The `@deprecated` message (possibly empty), `null` when not deprecated. */
+    deprecated: string | null;
+    /** Whether a deprecated API has `@see` or a "use X instead" hint; `null` when not deprecated. */
+    replacement: boolean | null;
+}
+
+export interface BucketSummary {
+    total: number;
+    documented: number;
+    undocumented: number;
+    /** Percentage with two decimals, `null` when there is nothing to count. */
+    coverage: number | null;
+}
+
+export interface SubpathReport {
+    entryPoints: { js: string[]; ts: string[] };
+    js: BucketSummary & { list: string[]; undocumentedList: string[] };
+    ts: BucketSummary & { list: string[]; undocumentedList: string[] };
+    warnings: string[];
+}
+
+export interface MemberCoverage {
+    total: number;
+    documented: number;
+    undocumented: number;
+    apis: Record<string, {
+        bucket: BucketKey;
+        kind: 'class' | 'interface' | 'type' | 'enum' | 'namespace';
+        members: { name: string; documented: boolean }[];
+        total: number;
+        documented: number;
+        undocumented: number;
+        undocumentedList: string[];
+    }>;
+}
+
+export interface ComponentProp {
+    name: string;
+    documented: boolean;
+    /** `null` for JS components, where it is unknown. */
+    required: boolean | null;
+    /** Source text of the destructuring default or the `@default` tag. */
+    defaultValue: string | null;
+}
+
+export interface ComponentCoverage {
+    /** Number of components. */
+    total: number;
+    props: { total: number; documented: number; undocumented: number; required: number; withDefault: number; coverage: number | null };
+    /** Keyed by `<file>#<export name>`, so the default exports of different modules (e.g. MF exposes) do not collide. */
+    apis: Record<string, {
+        /** Export name (`default` for default exports). */
+        name: string;
+        bucket: BucketKey;
+        /** Relative to the package root. */
+        file: string;
+        kind: 'function' | 'class' | 'forwardRef' | 'memo';
+        /** `null` for JS components, whose props come from the destructured first parameter. */
+        propsType: string | null;
+        /** Props declared in the package; props inherited from node_modules (e.g. HTML attributes) are only counted in `inheritedProps`. */
+        props: ComponentProp[];
+        inheritedProps: number;
+        total: number;
+        documented: number;
+        undocumented: number;
+        undocumentedList: string[];
+    }>;
+}
+
+export interface ExcludedExport {
+    name: string;
+    bucket: BucketKey;
+    /** e.g. `ignore.apis: __*`, `@internal`, `plugin: my-plugin` */
+    reason: string;
+}
+
+export interface CountDocsReport {
+    schemaVersion: typeof REPORT_SCHEMA_VERSION;
+    packageName: string;
+    packagePath: string;
+    js: Bucket;
+    ts: Bucket;
+    mf: Bucket;
+    /** Module specifiers of third-party packages re-exported by the package. */
+    reExports: string[];
+    /** API names that come from those third-party re-exports. */
+    reExportedApis: string[];
+    entryPoints: { js: string[]; ts: string[] };
+    subpaths?: Record<string, SubpathReport>;
+    members?: MemberCoverage;
+    /** Where each MF expose was found; `config` and `plugin` are `null` for exposes passed via `mfExposes`. */
+    mfOrigins?: Record<string, { config: string | null; plugin: string | null; import: string | null }>;
+    /** React components among the exports and their props. */
+    components: ComponentCoverage;
+    excluded: ExcludedExport[];
+    /** The README/docs/Storybook files that were indexed. */
+    externalDocs?: { files: string[] };
+    errors: string[];
+    warnings: string[];
+    /** Kind and type signature per export; only present when analyzed with `signatures: true` (snapshot mode). */
+    signatures?: Record<string, ApiSignature>;
+    /** Only present in reports produced by `usage` mode. */
+    usage?: UsageReport;
+    /** The git revision that was analyzed, when analyzed with `ref`. */
+    gitRef?: { ref: string; commit: string };
+    /** Only present when analyzed with `blame: true`; newest first. */
+    blame?: BlameEntry[];
+    performance: {
+        timings: { entryPoints: number; program: number; analysis: number; subpaths: number; total: number };
+        cache: { hits: number; misses: number } | null;
+    };
+}
+
+/**
+ * The commit that introduced the declaration line of an undocumented export: the oldest commit in
+ * the line's `git log -L` history, not the commit that last touched it.
+ */
+export interface BlameEntry {
+    name: string;
+    bucket: BucketKey;
+    /** Relative to the package root; `null` when the declaration could not be located. */
+    file: string | null;
+    /** 1-based. */
+    line: number | null;
+    /** `null` for uncommitted lines or when blaming failed. */
+    commit: string | null;
+    author?: string | null;
+    /** ISO author date. */
+    date?: string | null;
+    summary?: string | null;
+    /** Why there is no commit. */
+    reason?: string;
+}
+
+export interface BatchReport {
+    schemaVersion: typeof REPORT_SCHEMA_VERSION;
+    source: string;
+    generatedAt: string;
+    packageCount: number;
+    totals: Record<BucketKey, BucketSummary>;
+    coverage: number | null;
+    packages: Array<
+        | ({ packageName: string; packagePath: string; errors: number; reportPath: string | null } & Record<BucketKey, BucketSummary>)
+        | { packageName: string; packagePath: string; failed: string }
+    >;
+}
+
+/** An export found by a plugin's `extractExports`. */
+export interface ExtractedExport {
+    name: string;
+    /** Defaults to `js`. */
+    bucket?: BucketKey;
+    documented: boolean;
+    quality?: JSDocQuality;
+    /** Declaring file, defaults to the file being extracted. */
+    file?: string;
+    /** 1-based position of the declaration in `file`. */
+    line?: number;
+    column?: number;
+    /** JSDoc tag names, checked against `excludeTags`. */
+    tags?: string[];
+}
+
+/** The export passed to a plugin's `onExport` rule. */
+export interface ExportEntry {
+    name: string;
+    bucket: BucketKey;
+    documented: boolean;
+    source: string | null;
+    quality: JSDocQuality | null;
+}
+
+export interface CountDocsPlugin {
+    name?: string;
+    /** File extensions (e.g. `.vue`) whose files are handed to `extractExports` instead of the built-in parsers. */
+    extensions?: string[];
+    extractExports?(filePath: string, api: {
+        packageRoot: string;
+        readFile(filePath: string): Promise<string | null>;
+        /** Queue another file (relative to `filePath`) for analysis. */
+        enqueue(file: string): void;
+    }): ExtractedExport[] | Promise<ExtractedExport[]>;
+    /**
+     * Doc rule run for every counted export. Return `false` to drop it from the counts,
+     * or `{ documented, issues }` to override whether it counts as documented and add quality issues.
+     */
+    onExport?(entry: ExportEntry): void | false | { documented?: boolean; issues?: string[] };
+    /** Last chance to inspect or replace the report. */
+    onReport?(report: CountDocsReport): void | CountDocsReport | Promise<void | CountDocsReport>;
+}
+
+/** Shape of count-docs.config.{json,js} or the "countDocs" key in package.json. */
+export interface CountDocsConfig {
+    mfExposes?: Record<string, string>;
+    mfConfig?: string;
+    mfConfigGlob?: string;
+    entries?: string[];
+    /** Added to the defaults (`apis: ['__*']`), not replacing them. */
+    ignore?: { apis?: string[]; files?: string[] };
+    excludeTags?: string[];
+    /** Globs (relative to the package root) of README/docs/Storybook files to index, or `false` to skip external docs. */
+    externalDocs?: string[] | false;
+    /** Only in JS config files. */
+    plugins?: CountDocsPlugin[];
+}
+
+export interface Logger {
+    log(...args: unknown[]): void;
+    warn(...args: unknown[]): void;
+    error(...args: unknown[]): void;
+    /** Per-file detail, called only when present (the CLI prints it with `--verbose`). */
+    debug?(...args: unknown[]): void;
+}
+
+export interface AnalyzeOptions {
+    /** Module Federation exposes, as an object or a (loosely quoted) JSON string. */
+    mfExposes?: Record<string, string> | string | null;
+    mfConfigPath?: string | null;
+    /** Also count public members of exported classes, interfaces, enums and namespaces. */
+    members?: boolean;
+    /** Analyze sources through the package tsconfig instead of build output. */
+    source?: boolean;
+    sourceEntry?: string | null;
+    tsconfig?: string | null;
+    /**
+     * `true` caches in the user cache directory (`$XDG_CACHE_HOME/count-docs`, `~/.cache/count-docs`,
+     * `~/Library/Caches/count-docs` or `%LOCALAPPDATA%\count-docs`); a string is used as the cache directory.
+     * Defaults to `false`. The CLI uses `analysis_reports/.cache`.
+     */
+    cache?: boolean | string;
+    /** Project config file; by default count-docs.config.* or the "countDocs" key in package.json is used. */
+    config?: string | null;
+    plugins?: CountDocsPlugin[];
+    /** Record each export's kind and normalized type signature in `report.signatures`. */
+    signatures?: boolean;
+    /** Analyze the package as of this git revision, in a temporary worktree; the current checkout is left untouched. */
+    ref?: string | null;
+    /** Attribute each undocumented export to the commit that introduced its declaration (`report.blame`). */
+    blame?: boolean;
+    /** Progress output. Defaults to a silent logger. */
+    logger?: Logger;
+}
+
+/**
+ * Sets the language of log messages, of `warnings`/`errors` in later reports and of CLI output.
+ * Defaults to the `COUNT_DOCS_LANG` environment variable, or `'zh'`.
+ */
+export declare function setLanguage(language: 'zh' | 'en'): void;
+
+/** Analyzes a local package and resolves with its report. Nothing is printed or written unless `logger`/`cache` are given. */
+export declare function analyzePackage(packageRoot: string, options?: AnalyzeOptions): Promise<CountDocsReport>;
+
+export interface JSDocStubResult {
+    /** Unified diff with paths relative to the package root; empty when there is nothing to add. */
+    patch: string;
+    stubs: { name: string; bucket: BucketKey; file: string; line: number }[];
+    skipped: { name: string; reason: string }[];
+}
+
+/**
+ * Builds JSDoc skeletons for the undocumented exports of a report (third-party re-exports are skipped).
+ * Declarations in build output are mapped back to source files using `compilerOptions` (rootDir/outDir).
+ */
+export declare function generateJSDocStubs(report: CountDocsReport, options?: { compilerOptions?: Record<string, unknown> }): Promise<JSDocStubResult>;
+
+export interface UsageReport {
+    reposRoot: string;
+    /** MF remote names whose `remote/Expose` imports were counted against `./Expose`. */
+    remotes: string[];
+    repos: string[];
+    scannedFiles: number;
+    /** Per API (or MF expose key): number of references and references per repo. */
+    apis: Record<string, { count: number; repos: Record<string, number> }>;
+    /** Undocumented exports, most used first. */
+    rankedUndocumented: { name: string; buckets: BucketKey[]; count: number; repos: string[] }[];
+    /** Exports not referenced by any scanned repo. */
+    unused: { name: string; buckets: BucketKey[] }[];
+}
+
+export interface ApiSignature {
+    kind: 'function' | 'class' | 'const' | 'variable' | 'interface' | 'type' | 'enum' | 'namespace' | 'mf-expose' | 're-export' | 'unknown';
+    /**
+     * Call signatures, variable/alias type, or the type parameters and heritage clauses of classes/interfaces.
+     * JS exports without type declarations have none, so snapshot comparison cannot see their signature changes.
+     */
+    signature?: string;
+    /**
+     * Public members of classes, interfaces, enums and namespaces (`name?` marks optional members), sorted by name.
+     * Enum members map to their JSON constant value, the initializer text when it is not constant, or `computed`.
+     */
+    members?: Record<string, string>;
+}
+
+/** Committable API snapshot (count-docs.api.json). */
+export interface ApiSnapshot {
+    schemaVersion: typeof REPORT_SCHEMA_VERSION;
+    packageName: string;
+    version: string | null;
+    apis: Record<string, ApiSignature>;
+}
+
+export interface ApiChange {
+    name: string;
+    kind: ApiSignature['kind'];
+    breaking: boolean;
+    /** Only for signature changes: `signature: old → new`, `+ member`, `- member`, `~ member`. */
+    details?: string[];
+}
+
+export interface ApiComparison {
+    from: string | null;
+    to: string | null;
+    added: ApiChange[];
+    removed: ApiChange[];
+    changed: ApiChange[];
+    /** Number of likely breaking changes. */
+    breaking: number;
+    suggestedBump: 'major' | 'minor' | 'patch';
+}
+
+/** Builds a snapshot from a report analyzed with `signatures: true`. */
+export declare function createApiSnapshot(report: CountDocsReport, options?: { version?: string | null }): ApiSnapshot;
+export declare function compareApiSnapshots(previous: ApiSnapshot, current: ApiSnapshot): ApiComparison;
+
+/** Scans the repositories next to the package for imports/requires of it and ranks its undocumented exports by usage. */
+export declare function collectUsage(report: CountDocsReport, options?: { reposRoot?: string; remotes?: string[] }): Promise<UsageReport>;
+
+export declare function renderMarkdownReport(report: CountDocsReport): string;
+export declare function renderHtmlReport(report: CountDocsReport): string;
+/** SARIF 2.1.0 log (as JSON text) with a warning per undocumented export and an error per entry in `report.errors`. */
+export declare function renderSarifReport(report: CountDocsReport): string;
+/**
+ * GitHub Actions `::warning` / `::error` workflow commands, with paths relative to the current working directory.
+ * `only` limits the warnings to these export names.
+ */
+export declare function renderGithubAnnotations(report: CountDocsReport, options?: { only?: Set<string> | null }): string[];
@@ -6,11 +6,17 @@
 
 import fs from 'fs-extra';
 import path from 'path';
-import { fileURLToPath } from 'url';
+import crypto from 'crypto';
+import os from 'os';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { performance } from 'perf_hooks';
+import { fileURLToPath, pathToFileURL } from 'url';
 import { glob } from 'glob';
 import { parse as babelParse } from '@babel/parser';
 import babelTraverse from '@babel/traverse';
 import ts from 'typescript';
+import doctrine from 'doctrine';
 
 // -----------------------------------------------------------------------------
 // 辅助工具 (无变化)
@@ -74,6 +80,982 @@ function isTypeOnlyExportSymbol(symbol) {
     return sawSpecifier;
 }
 
+// -----------------------------------------------------------------------------
+// 成员级覆盖率 (class / interface / type literal / enum / namespace)
+// -----------------------------------------------------------------------------
+
+function isNonPublicMember(member) {
+    if (member.name && ts.isPrivateIdentifier(member.name)) return true;
+    const flags = ts.getCombinedModifierFlags(member);
+    return Boolean(flags & (ts.ModifierFlags.Private | ts.ModifierFlags.Protected));
+}
+
+function memberName(member) {
+    if (!member.name) return null;
+    if (ts.isIdentifier(member.name) || ts.isStringLiteral(member.name) || ts.isNumericLiteral(member.name)) {
+        return member.name.text;
+    }
+    return member.name.getText();
+}
+
+/**
+ * 收集导出符号的公开成员，返回 { kind, members: [{ name, documented }] }；不是容器类型时返回 null。
+ */
+function collectPublicMembers(symbol, checker) {
+    const members = new Map();
+    let kind = null;
+    const addMember = (name, memberSymbol) => {
+        if (!name || !memberSymbol) return;
+        const documented = hasValidJSDoc(memberSymbol.getDocumentationComment(checker));
+        members.set(name, (members.get(name) || false) || documented);
+    };
+    const addMemberNodes = (nodes) => {
+        for (const member of nodes) {
+            if (ts.isConstructorDeclaration(member) || ts.isIndexSignatureDeclaration(member)
+                || ts.isCallSignatureDeclaration(member) || ts.isConstructSignatureDeclaration(member)
+                || ts.isClassStaticBlockDeclaration(member) || ts.isSemicolonClassElement(member)) continue;
+            if (isNonPublicMember(member)) continue;
+            addMember(memberName(member), checker.getSymbolAtLocation(member.name));
+        }
+    };
+
+    for (const decl of symbol.declarations || []) {
+        if (ts.isClassDeclaration(decl) || ts.isClassExpression(decl)) {
+            kind = 'class';
+            addMemberNodes(decl.members);
+        } else if (ts.isInterfaceDeclaration(decl)) {
+            kind = kind || 'interface';
+            addMemberNodes(decl.members);
+        } else if (ts.isTypeAliasDeclaration(decl) && ts.isTypeLiteralNode(decl.type)) {
+            kind = 'type';
+            addMemberNodes(decl.type.members);
+        } else if (ts.isEnumDeclaration(decl)) {
+            kind = 'enum';
+            addMemberNodes(decl.members);
+        } else if (ts.isModuleDeclaration(decl)) {
+            kind = kind || 'namespace';
+            checker.getExportsOfModule(symbol).forEach(exported => addMember(exported.name, exported));
+        }
+    }
+    if (!kind) return null;
+    return { kind, members: [...members].map(([name, documented]) => ({ name, documented })) };
+}
+
+function recordMembers(results, bucketKey, apiName, collected) {
+    if (!collected || collected.members.length === 0) return;
+    const previous = results.members.apis[apiName];
+    if (previous && previous.members.length >= collected.members.length) return;
+    results.members.apis[apiName] = { bucket: bucketKey, kind: collected.kind, members: collected.members };
+}
+
+// 汇总成员级统计 (在报告处理阶段调用)
+function summarizeMembers(members) {
+    let total = 0;
+    let documented = 0;
+    for (const api of Object.values(members.apis)) {
+        api.total = api.members.length;
+        api.documented = api.members.filter(member => member.documented).length;
+        api.undocumented = api.total - api.documented;
+        api.undocumentedList = api.members.filter(member => !member.documented).map(member => member.name);
+        total += api.total;
+        documented += api.documented;
+    }
+    members.total = total;
+    members.documented = documented;
+    members.undocumented = total - documented;
+}
+
+// -----------------------------------------------------------------------------
+// React 组件与 props 覆盖率
+// -----------------------------------------------------------------------------
+
+const COMPONENT_WRAPPERS = /(^|\.)(forwardRef|memo)$/;
+const COMPONENT_BASE_CLASS = /(^|\.)(Pure)?Component$/;
+const COMPONENT_TYPE_NAMES = /^(FC|FunctionComponent|VFC|ComponentType|ComponentClass|ForwardRefExoticComponent|MemoExoticComponent|NamedExoticComponent|ExoticComponent)$/;
+const JSX_RETURN_TYPE = /\b(JSX\.Element|ReactElement|ReactNode|ReactPortal)\b/;
+// 编译产物中的 JSX: React.createElement(...) / _jsx(...) / jsxs(...)
+const JSX_FACTORY_CALL = /^(React\.)?createElement$|^_?jsxs?$|^_?jsxDEV$/;
+
+function isComponentName(name) {
+    return Boolean(name) && /^[A-Z]/.test(name);
+}
+
+function unwrapTsExpression(node) {
+    while (node && (ts.isParenthesizedExpression(node) || ts.isAsExpression(node) || ts.isSatisfiesExpression(node))) {
+        node = node.expression;
+    }
+    return node;
+}
+
+function tsContainsJsx(node) {
+    if (ts.isJsxElement(node) || ts.isJsxSelfClosingElement(node) || ts.isJsxFragment(node)) return true;
+    if (ts.isCallExpression(node) && JSX_FACTORY_CALL.test(node.expression.getText())) return true;
+    return Boolean(ts.forEachChild(node, tsContainsJsx));
+}
+
+/**
+ * 找到组件的实现: { kind, fn, propsTypeNode, classNode }。
+ * forwardRef/memo 包装时 kind 为包装函数名，显式类型参数 (forwardRef<Ref, Props> / memo<Props>) 优先于内部函数的参数类型。
+ */
+function resolveComponentNode(node, checker, depth = 0) {
+    node = unwrapTsExpression(node);
+    if (!node || depth > 5) return null;
+    if (ts.isVariableDeclaration(node)) {
+        const resolved = resolveComponentNode(node.initializer, checker, depth + 1);
+        // const Button: FC<Props> = ... 由注解的组件类型决定 props
+        if (resolved && node.type && ts.isTypeReferenceNode(node.type) && COMPONENT_TYPE_NAMES.test(node.type.typeName.getText().split('.').pop())) {
+            resolved.propsTypeNode = resolved.propsTypeNode || node.type.typeArguments?.[0] || null;
+            resolved.typed = true;
+        }
+        return resolved;
+    }
+    if (ts.isFunctionDeclaration(node) || ts.isFunctionExpression(node) || ts.isArrowFunction(node)) {
+        return { kind: 'function', fn: node, propsTypeNode: null };
+    }
+    if (ts.isClassDeclaration(node) || ts.isClassExpression(node)) {
+        const base = node.heritageClauses?.find(clause => clause.token === ts.SyntaxKind.ExtendsKeyword)?.types[0];
+        if (!base || !COMPONENT_BASE_CLASS.test(base.expression.getText())) return null;
+        return { kind: 'class', classNode: node, propsTypeNode: base.typeArguments?.[0] || null };
+    }
+    if (ts.isCallExpression(node) && COMPONENT_WRAPPERS.test(node.expression.getText())) {
+        const wrapper = node.expression.getText().split('.').pop();
+        const explicitProps = node.typeArguments?.[wrapper === 'forwardRef' ? 1 : 0] || null;
+        let inner = unwrapTsExpression(node.arguments[0]);
+        if (inner && ts.isIdentifier(inner)) {
+            const innerSymbol = checker.getSymbolAtLocation(inner);
+            inner = innerSymbol?.valueDeclaration || inner;
+        }
+        const resolved = resolveComponentNode(inner, checker, depth + 1);
+        return { ...resolved, kind: wrapper, propsTypeNode: explicitProps || resolved?.propsTypeNode || null, typed: true };
+    }
+    return null;
+}
+
+// 解构参数中的默认值: ({ size = 'md' }) → { size: "'md'" }
+function bindingDefaults(parameter) {
+    const defaults = {};
+    if (parameter && ts.isObjectBindingPattern(parameter.name)) {
+        for (const element of parameter.name.elements) {
+            if (!element.initializer || element.dotDotDotToken) continue;
+            const propName = element.propertyName ? element.propertyName.getText() : element.name.getText();
+            defaults[propName] = normalizeSignature(element.initializer.getText());
+        }
+    }
+    return defaults;
+}
+
+/**
+ * 识别 React 组件 (返回 JSX 的函数/类组件、forwardRef/memo 包装、FC 等类型注解) 并用 checker 解析其 props。
+ * 从包外 (node_modules，例如 HTML 属性) 继承的 props 不逐个统计，只计入 inheritedProps。不是组件时返回 null。
+ */
+function describeReactComponent(symbol, checker, packageRoot) {
+    const declaration = symbol.valueDeclaration;
+    if (!declaration) return null;
+    const name = symbol.name === 'default' ? ts.getNameOfDeclaration(declaration)?.getText() : symbol.name;
+    if (!isComponentName(name)) return null;
+    const component = resolveComponentNode(declaration, checker);
+    if (!component) return null;
+    const { fn, classNode } = component;
+    if (fn && !component.typed) {
+        const signature = checker.getSignatureFromDeclaration(fn);
+        const returnType = signature ? checker.typeToString(checker.getReturnTypeOfSignature(signature)) : '';
+        if (!JSX_RETURN_TYPE.test(returnType) && !(fn.body && tsContainsJsx(fn.body))) return null;
+    }
+    if (classNode && !classNode.members.some(member => memberName(member) === 'render')) return null;
+
+    const propsParameter = fn?.parameters[0];
+    let propsType = null;
+    if (component.propsTypeNode) propsType = checker.getTypeFromTypeNode(component.propsTypeNode);
+    else if (propsParameter) propsType = checker.getTypeAtLocation(propsParameter);
+    const defaults = bindingDefaults(propsParameter);
+    const props = [];
+    let inheritedProps = 0;
+    for (const prop of propsType ? checker.getPropertiesOfType(propsType) : []) {
+        if (!symbolBelongsToPackage(prop, packageRoot)) {
+            inheritedProps++;
+            continue;
+        }
+        const defaultTag = prop.getJsDocTags(checker).find(tag => tag.name === 'default' || tag.name === 'defaultValue');
+        props.push({
+            name: prop.name,
+            documented: hasValidJSDoc(prop.getDocumentationComment(checker)),
+            required: !(prop.flags & ts.SymbolFlags.Optional),
+            defaultValue: defaults[prop.name] ?? (defaultTag ? normalizeSignature(ts.displayPartsToString(defaultTag.text)) : null),
+        });
+    }
+    return {
+        kind: component.kind,
+        propsType: propsType ? normalizeSignature(checker.typeToString(propsType, declaration, SIGNATURE_FORMAT)) : null,
+        props,
+        inheritedProps,
+    };
+}
+
+function babelContainsJsx(node) {
+    if (!node || typeof node.type !== 'string') return false;
+    if (node.type === 'JSXElement' || node.type === 'JSXFragment') return true;
+    if (node.type === 'CallExpression') {
+        const callee = node.callee.type === 'MemberExpression'
+            ? `${node.callee.object.name}.${node.callee.property.name}`
+            : node.callee.name;
+        if (JSX_FACTORY_CALL.test(callee || '')) return true;
+    }
+    for (const key of Object.keys(node)) {
+        if (key === 'loc' || key.endsWith('Comments')) continue;
+        const value = node[key];
+        if (Array.isArray(value) ? value.some(babelContainsJsx) : babelContainsJsx(value)) return true;
+    }
+    return false;
+}
+
+/**
+ * JS 组件: 没有类型信息，props 取自第一个参数的解构，说明来自 `@param props.name`；是否必填未知 (null)。
+ */
+function describeBabelComponent(apiName, info, code) {
+    let node = info.declNode;
+    const name = apiName === 'default' ? node?.id?.name : apiName;
+    if (!isComponentName(name)) return null;
+    if (node?.type === 'VariableDeclarator') node = node.init;
+    let kind = 'function';
+    if (node?.type === 'CallExpression') {
+        const callee = node.callee.type === 'MemberExpression' ? node.callee.property.name : node.callee.name;
+        if (!COMPONENT_WRAPPERS.test(callee || '')) return null;
+        kind = callee;
+        node = node.arguments[0];
+    }
+    if (node?.type === 'ClassDeclaration' || node?.type === 'ClassExpression') {
+        const base = node.superClass?.type === 'MemberExpression' ? node.superClass.property.name : node.superClass?.name;
+        return COMPONENT_BASE_CLASS.test(base || '') ? { kind: 'class', propsType: null, props: [], inheritedProps: 0 } : null;
+    }
+    if (!node || !/^(FunctionDeclaration|FunctionExpression|ArrowFunctionExpression)$/.test(node.type) || !babelContainsJsx(node.body)) return null;
+
+    const documentedProps = new Set(babelJSDocTags(info.commentNode)
+        .filter(tag => tag.name === 'param')
+        .map(tag => tag.text.match(/^\[?[\w$]+\.([\w$]+)/)?.[1])
+        .filter(Boolean));
+    const pattern = node.params[0]?.type === 'AssignmentPattern' ? node.params[0].left : node.params[0];
+    const props = (pattern?.type === 'ObjectPattern' ? pattern.properties : [])
+        .filter(property => property.type === 'ObjectProperty' && !property.computed)
+        .map(property => ({
+            name: property.key.name ?? property.key.value,
+            documented: documentedProps.has(property.key.name ?? property.key.value),
+            required: null,
+            defaultValue: property.value.type === 'AssignmentPattern' && code
+                ? normalizeSignature(code.slice(property.value.right.start, property.value.right.end))
+                : null,
+        }));
+    return { kind, propsType: null, props, inheritedProps: 0 };
+}
+
+// key 为 `文件#导出名`: 各个 MF expose 模块的 default 导出同名，只用导出名会互相覆盖
+function recordComponent(results, bucketKey, apiName, component, filePath) {
+    if (!component || !results.components) return;
+    const file = filePath && results.packagePath ? path.relative(results.packagePath, filePath) : filePath;
+    const key = `${file}#${apiName}`;
+    if (results.components.apis[key]) return;
+    results.components.apis[key] = { name: apiName, bucket: bucketKey, file, ...component };
+}
+
+// 汇总 props 级统计 (在报告处理阶段调用)
+function summarizeComponents(components) {
+    const totals = { total: 0, documented: 0, required: 0, withDefault: 0 };
+    for (const component of Object.values(components.apis)) {
+        component.total = component.props.length;
+        component.documented = component.props.filter(prop => prop.documented).length;
+        component.undocumented = component.total - component.documented;
+        component.undocumentedList = component.props.filter(prop => !prop.documented).map(prop => prop.name);
+        totals.total += component.total;
+        totals.documented += component.documented;
+        totals.required += component.props.filter(prop => prop.required).length;
+        totals.withDefault += component.props.filter(prop => prop.defaultValue !== null).length;
+    }
+    components.total = Object.keys(components.apis).length;
+    components.props = { ...totals, undocumented: totals.total - totals.documented, coverage: computeCoverage(totals.documented, totals.total) };
+}
+
+// -----------------------------------------------------------------------------
+// API 签名 (snapshot 模式)
+// -----------------------------------------------------------------------------
+
+const SIGNATURE_FORMAT = ts.TypeFormatFlags.NoTruncation;
+
+function normalizeSignature(text) {
+    return text.replace(/\s+/g, ' ').trim();
+}
+
+// 类型参数和 extends/implements 子句，例如 `<T> extends Base<T>`；没有时返回 null
+function declarationHeader(declaration) {
+    const parts = [];
+    if (declaration.typeParameters?.length) parts.push(`<${declaration.typeParameters.map(param => param.getText()).join(', ')}>`);
+    (declaration.heritageClauses || []).forEach(clause => parts.push(clause.getText()));
+    return parts.length > 0 ? normalizeSignature(parts.join(' ')) : null;
+}
+
+// 常量值；declare / .d.ts 中的 enum 成员没有常量值时取初始值的源码，都没有才记为 computed
+function enumMemberValue(member, checker) {
+    const value = checker.getConstantValue(member);
+    if (value !== undefined) return JSON.stringify(value);
+    return member.initializer ? member.initializer.getText().replace(/\s+/g, ' ') : 'computed';
+}
+
+/**
+ * 用 TS checker 描述一个导出: { kind, signature, members }。
+ * kind 为 class / enum / function / const / variable / interface / type / namespace；
+ * 容器类型的 members 为 { 成员名 (可选成员带 ?): 类型 }，按名字排序以便 diff。
+ */
+function describeApiSignature(symbol, checker) {
+    const declaration = symbol.valueDeclaration || symbol.declarations?.[0];
+    if (!declaration) return { kind: 'unknown', signature: null };
+    const typeText = (type, extraFlags = 0) => normalizeSignature(checker.typeToString(type, declaration, SIGNATURE_FORMAT | extraFlags));
+    const signaturesText = (signatures) => signatures.map(signature => normalizeSignature(checker.signatureToString(signature, declaration, SIGNATURE_FORMAT))).join('; ');
+    const describeProperties = (properties, prefix = '') => properties
+        .filter(property => !property.name.startsWith('__#') && property.name !== 'prototype'
+            && !property.declarations?.some(member => ts.isClassElement(member) && isNonPublicMember(member)))
+        .map(property => [
+            `${prefix}${property.name}${property.flags & ts.SymbolFlags.Optional ? '?' : ''}`,
+            typeText(checker.getTypeOfSymbolAtLocation(property, declaration)),
+        ]);
+    const sortedMembers = (entries) => Object.fromEntries(entries.sort(([a], [b]) => a.localeCompare(b)));
+    const flags = symbol.flags;
+
+    if (flags & ts.SymbolFlags.Class) {
+        const staticType = checker.getTypeOfSymbolAtLocation(symbol, declaration);
+        const entries = [
+            ...describeProperties(checker.getPropertiesOfType(checker.getDeclaredTypeOfSymbol(symbol))),
+            ...describeProperties(checker.getPropertiesOfType(staticType), 'static '),
+        ];
+        const constructors = checker.getSignaturesOfType(staticType, ts.SignatureKind.Construct);
+        if (constructors.length > 0) entries.push(['constructor', signaturesText(constructors)]);
+        return { kind: 'class', signature: declarationHeader(declaration), members: sortedMembers(entries) };
+    }
+    if (flags & ts.SymbolFlags.Enum) {
+        const members = (symbol.declarations || []).filter(ts.isEnumDeclaration).flatMap(decl => decl.members);
+        return {
+            kind: 'enum',
+            signature: null,
+            members: sortedMembers(members.map(member => [memberName(member), enumMemberValue(member, checker)])),
+        };
+    }
+    if (flags & ts.SymbolFlags.Function) {
+        const type = checker.getTypeOfSymbolAtLocation(symbol, declaration);
+        return { kind: 'function', signature: signaturesText(checker.getSignaturesOfType(type, ts.SignatureKind.Call)) };
+    }
+    if (flags & ts.SymbolFlags.Variable) {
+        const isConst = Boolean(ts.getCombinedNodeFlags(declaration) & ts.NodeFlags.Const);
+        return { kind: isConst ? 'const' : 'variable', signature: typeText(checker.getTypeOfSymbolAtLocation(symbol, declaration)) };
+    }
+    if (flags & ts.SymbolFlags.Interface) {
+        const type = checker.getDeclaredTypeOfSymbol(symbol);
+        const entries = describeProperties(checker.getPropertiesOfType(type));
+        const calls = checker.getSignaturesOfType(type, ts.SignatureKind.Call);
+        if (calls.length > 0) entries.push(['()', signaturesText(calls)]);
+        checker.getIndexInfosOfType(type).forEach(info => entries.push([`[${typeText(info.keyType)}]`, typeText(info.type)]));
+        const interfaceDeclaration = symbol.declarations.find(ts.isInterfaceDeclaration);
+        return { kind: 'interface', signature: interfaceDeclaration ? declarationHeader(interfaceDeclaration) : null, members: sortedMembers(entries) };
+    }
+    if (flags & ts.SymbolFlags.TypeAlias) {
+        const aliasDeclaration = symbol.declarations.find(ts.isTypeAliasDeclaration);
+        const header = aliasDeclaration ? declarationHeader(aliasDeclaration) : null;
+        const body = typeText(checker.getDeclaredTypeOfSymbol(symbol), ts.TypeFormatFlags.InTypeAlias);
+        return { kind: 'type', signature: header ? `${header} = ${body}` : body };
+    }
+    if (flags & ts.SymbolFlags.Module) {
+        const entries = checker.getExportsOfModule(symbol).map(exported => [
+            exported.name,
+            exported.flags & ts.SymbolFlags.Value ? typeText(checker.getTypeOfSymbolAtLocation(exported, declaration)) : 'type',
+        ]);
+        return { kind: 'namespace', signature: null, members: sortedMembers(entries) };
+    }
+    return { kind: 'unknown', signature: null };
+}
+
+// Babel: JS 导出只能给出大致的 kind，没有类型签名
+function describeBabelExport(declNode) {
+    let node = declNode;
+    if (node?.type === 'VariableDeclarator') {
+        if (node.init && /^(FunctionExpression|ArrowFunctionExpression)$/.test(node.init.type)) return { kind: 'function', signature: null };
+        if (node.init?.type === 'ClassExpression') return { kind: 'class', signature: null };
+        return { kind: 'const', signature: null };
+    }
+    if (node && /Function|ObjectMethod/.test(node.type)) return { kind: 'function', signature: null };
+    if (node && /Class/.test(node.type)) return { kind: 'class', signature: null };
+    return { kind: 'unknown', signature: null };
+}
+
+// 同名导出先到先得，但带类型信息的 (来自 .d.ts / .ts) 可以替换只有 kind 的 JS 结果
+function recordSignature(results, apiName, signature) {
+    if (!results.signatures || !signature) return;
+    const previous = results.signatures[apiName];
+    const detailed = (entry) => Boolean(entry.signature || entry.members);
+    if (previous && (detailed(previous) || !detailed(signature))) return;
+    results.signatures[apiName] = signature;
+}
+
+// -----------------------------------------------------------------------------
+// 消息与多语言 (--lang zh | en)
+// -----------------------------------------------------------------------------
+
+const LANGUAGES = ['zh', 'en'];
+let currentLanguage = LANGUAGES.includes(process.env.COUNT_DOCS_LANG) ? process.env.COUNT_DOCS_LANG : 'zh';
+
+/**
+ * 所有面向用户的消息 (日志、警告、错误、帮助)。`{name}` 由 t() 的参数替换。
+ * 报告中的 warnings / errors 按生成时的语言写入。
+ */
+const MESSAGES = {
+    // 配置 / 缓存
+    'tsconfig.readFailed': { zh: 'tsconfig 读取失败 ({path}): {message}', en: 'Failed to read tsconfig ({path}): {message}' },
+    'config.notFound': { zh: '配置文件未找到: {path}', en: 'Config file not found: {path}' },
+    'config.using': { zh: '[配置] 使用项目配置: {path}', en: '[config] Using project config: {path}' },
+    'config.entryMissing': { zh: '配置的入口文件不存在: {entry}', en: 'Configured entry file does not exist: {entry}' },
+    'cache.saveFailed': { zh: '❌ 保存分析缓存失败: {message}', en: '❌ Failed to save the analysis cache: {message}' },
+
+    // 分析过程
+    'progress.package': { zh: '[1/4] 正在分析本地包: {path}', en: '[1/4] Analyzing local package: {path}' },
+    'progress.entryPoints': { zh: '[2/4] 正在分析入口点 (package.json 和 MF)...', en: '[2/4] Analyzing entry points (package.json and MF)...' },
+    'progress.analysis': { zh: '[3/4] 正在递归分析所有找到的 API ...', en: '[3/4] Recursively analyzing all discovered APIs...' },
+    'progress.subpaths': { zh: '[子路径] 正在按 {count} 个公开子路径分别统计...', en: '[subpaths] Counting {count} public subpaths separately...' },
+    'progress.save': { zh: '[4/4] 正在保存分析报告...', en: '[4/4] Saving the analysis report...' },
+    'progress.file': { zh: '  · 分析 {file}', en: '  · analyzing {file}' },
+    'analyze.noPackageJson': { zh: '在 {path} 未找到 package.json。', en: 'No package.json found at {path}.' },
+    'analyze.unknownFileType': { zh: '未知的入口文件类型: {file}', en: 'Unknown entry file type: {file}' },
+    'analyze.fatal': { zh: '分析过程中发生致命错误: {message}', en: 'Fatal error during analysis: {message}' },
+    'analyze.jsReadFailed': { zh: '无法读取 JS 文件: {file}', en: 'Could not read JS entry file: {file}' },
+    'analyze.parseFailed': { zh: 'Babel 解析 {file} 失败: {message}', en: 'Babel parse error in {file}: {message}' },
+    'analyze.unresolved': { zh: '无法从 {file} 解析 \'{specifier}\'', en: 'Could not resolve \'{specifier}\' from {file}' },
+    'analyze.notExportedByTs': { zh: '{module} 没有导出 \'{name}\' (由 {file} 再导出)', en: '\'{name}\' is not exported by {module} (re-exported from {file})' },
+    'analyze.tsEntryMissing': { zh: '找不到 TS 入口文件: {file}', en: 'Could not find TS entry file: {file}' },
+    'analyze.tsProgramFailed': { zh: '创建 TS program 失败: {message}', en: 'TS Program creation failed: {message}' },
+    'analyze.tsSourceFileMissing': { zh: 'TS program 中找不到源文件: {file}', en: 'TS SourceFile not found: {file}' },
+    'analyze.moduleSymbolMissing': { zh: '找不到模块符号: {file}', en: 'Could not find module symbol for: {file}' },
+    'timings.summary': {
+        zh: '[耗时] 入口点 {entryPoints}ms · TS program {program}ms · 递归分析 {analysis}ms · 子路径 {subpaths}ms · 总计 {total}ms',
+        en: '[timings] entry points {entryPoints}ms · TS program {program}ms · analysis {analysis}ms · subpaths {subpaths}ms · total {total}ms',
+    },
+    'timings.cache': { zh: ' (缓存命中 {hits} / 未命中 {misses})', en: ' (cache hits {hits} / misses {misses})' },
+    'source.tsconfig': { zh: '[源码模式] 使用 tsconfig: {path}', en: '[source] Using tsconfig: {path}' },
+    'source.noTsconfig': { zh: '[源码模式] 未找到 tsconfig.json，使用默认编译选项。', en: '[source] No tsconfig.json found, using default compiler options.' },
+    'source.unmapped': { zh: '源码模式: 无法把 {file} 映射到源码文件', en: 'Source mode: cannot map {file} to a source file' },
+    'subpath.missingInTypes': { zh: '子路径 {subpath}: JS 导出但类型入口未声明: {names}', en: 'Subpath {subpath}: exported by JS but not declared by the types entry: {names}' },
+    'subpath.missingInJs': { zh: '子路径 {subpath}: 类型入口声明但 JS 未导出: {names}', en: 'Subpath {subpath}: declared by the types entry but not exported by JS: {names}' },
+    'lifecycle.noReplacement': { zh: '已废弃的 API 缺少替代提示 (@see 或 "use X instead"): {name}', en: 'Deprecated API has no replacement hint (@see or "use X instead"): {name}' },
+    'lifecycle.exportedFromMain': { zh: '已废弃的 API 仍从主入口导出: {name}{declaredIn}', en: 'Deprecated API is still exported from the main entry: {name}{declaredIn}' },
+    'lifecycle.declaredIn': { zh: ' (声明于 {source})', en: ' (declared in {source})' },
+    'externalDocs.readFailed': { zh: '无法读取外部文档 {file}: {message}', en: 'Cannot read external doc {file}: {message}' },
+    'plugin.extractFailed': { zh: '插件 {plugin} 提取 {file} 失败: {message}', en: 'Plugin {plugin} failed to extract {file}: {message}' },
+    'plugin.unknownBucket': { zh: '插件 {plugin} 返回了未知的 bucket: {bucket}', en: 'Plugin {plugin} returned an unknown bucket: {bucket}' },
+    'plugin.onReportFailed': { zh: '插件 {plugin} onReport 失败: {message}', en: 'Plugin {plugin} onReport failed: {message}' },
+
+    // Module Federation
+    'mf.explicitConfig': { zh: '[MF 分析] 使用显式路径: {path}', en: '[MF] Using the given config file: {path}' },
+    'mf.configNotFound': { zh: '提供的 MF 配置文件路径未找到: {path}', en: 'MF config file not found: {path}' },
+    'mf.searching': { zh: '[MF 分析] 正在自动搜索 webpack/rspack/vite/mf 配置文件...', en: '[MF] Searching for webpack/rspack/vite/mf config files...' },
+    'mf.noConfig': { zh: '[MF 分析] 未自动找到配置文件。', en: '[MF] No config file found.' },
+    'mf.noExposes': { zh: '[MF 分析] 未在 {config} 中找到 exposes。', en: '[MF] No exposes found in {config}.' },
+    'mf.exposesFound': { zh: '[MF 分析] 在 {config} 中找到 {count} 个 expose{origin}。', en: '[MF] Found {count} expose(s) in {config}{origin}.' },
+    'mf.heuristic': { zh: ' (启发式)', en: ' (heuristic)' },
+    'mf.pluginNotEvaluable': { zh: '无法静态求值 {config} 中 {plugin} 的选项', en: 'Cannot statically evaluate the options of {plugin} in {config}' },
+    'mf.exposesNotEvaluable': { zh: '无法静态求值 {config} 中的 exposes{plugin}', en: 'Cannot statically evaluate the exposes in {config}{plugin}' },
+    'mf.exposeNotEvaluable': { zh: '无法静态求值 MF expose {name} 的模块路径{config}', en: 'Cannot statically evaluate the module path of MF expose {name}{config}' },
+    'mf.explicitExposes': { zh: '[MF 分析] 使用显式 exposes 配置...', en: '[MF] Using the given exposes...' },
+    'mf.exposesInputFailed': { zh: '--mf-exposes 处理失败 (可能是 JSON 解析或内部错误): {message}', en: 'Failed to process --mf-exposes (invalid JSON or internal error): {message}' },
+    'mf.rejectedInput': { zh: '解析失败的输入: {input}', en: 'Rejected input: {input}' },
+    'mf.exposeFileMissing': { zh: 'MF exposes ({origin}) 指向的文件不存在: {request} (解析为 {path})', en: 'MF exposes ({origin}) missing file: {request} (resolved to {path})' },
+    'mf.fromJson': { zh: '来自 JSON', en: 'from JSON' },
+    'mf.configReadFailed': { zh: '无法读取 MF 配置: {path}', en: 'Could not read MF config: {path}' },
+
+    // 报告保存
+    'report.saved': { zh: '✅ 报告已成功保存到: {path}', en: '✅ Report saved to: {path}' },
+    'report.saveFailed': { zh: '❌ 保存报告失败: {message}', en: '❌ Failed to save the report: {message}' },
+    'report.notFound': { zh: '未找到 {target} 的历史报告。', en: 'No saved reports found for {target}.' },
+    'render.saved': { zh: '✅ {format} 报告已保存到: {path}', en: '✅ {format} report saved to: {path}' },
+    'render.saveFailed': { zh: '❌ 保存 {format} 报告失败: {message}', en: '❌ Failed to save the {format} report: {message}' },
+
+    // SARIF / GitHub annotations
+    'sarif.rule.undocumented-export': { zh: '导出的 API 没有 JSDoc', en: 'Exported API has no JSDoc' },
+    'sarif.rule.analysis-error': { zh: 'count-docs 无法分析包的一部分', en: 'count-docs could not analyze part of the package' },
+    'sarif.undocumented': { zh: '{name} ({bucket}) 没有 JSDoc。', en: '{name} ({bucket}) has no JSDoc.' },
+
+    // 终端输出 (summary / table)
+    'output.heading': { zh: '\n--- 🚀 本地分析报告 ---', en: '\n--- 🚀 Local analysis report ---' },
+    'output.issues': { zh: '警告 {warnings} · 错误 {errors}', en: 'warnings {warnings} · errors {errors}' },
+    'output.reportPath': { zh: '报告: {path}', en: 'Report: {path}' },
+    'output.columnBucket': { zh: '类别', en: 'Bucket' },
+    'output.columnDocumented': { zh: '文档', en: 'Docs' },
+    'output.columnQuality': { zh: '质量', en: 'Quality' },
+    'output.columnSource': { zh: '声明位置', en: 'Declared in' },
+
+    // stubs
+    'stubs.noSource': { zh: '未记录声明文件', en: 'no declaration file recorded' },
+    'stubs.inDependency': { zh: '声明在依赖中: {source}', en: 'declared in a dependency: {source}' },
+    'stubs.buildOutputOnly': { zh: '声明在构建产物中且未找到对应源码 ({source})', en: 'declared in build output with no matching source file ({source})' },
+    'stubs.notInSource': { zh: '未在源码中找到声明 ({source})', en: 'declaration not found in the sources ({source})' },
+    'stubs.emptyJsdoc': { zh: '已有空的 JSDoc', en: 'already has an empty JSDoc' },
+    'stubs.skipped': { zh: '[stubs] 跳过 {name}: {reason}', en: '[stubs] Skipping {name}: {reason}' },
+    'stubs.preview': { zh: '\n[stubs] 预览: {count} 个 JSDoc 骨架 (未修改任何文件)。', en: '\n[stubs] Preview: {count} JSDoc stub(s), no files were modified.' },
+    'stubs.written': { zh: '✅ 已写入 {count} 个 JSDoc 骨架到: {path}', en: '✅ Wrote {count} JSDoc stub(s) to: {path}' },
+    'stubs.applyHint': { zh: '   审阅后在包根目录执行: git apply {path}', en: '   After review, run in the package root: git apply {path}' },
+
+    // usage
+    'usage.scanning': { zh: '[usage] 正在扫描 {root} 下的仓库中对 {names} 的引用...', en: '[usage] Scanning the repositories under {root} for references to {names}...' },
+    'usage.heading': { zh: '\n--- 📈 未写文档的 API (按使用次数排序，共扫描 {repos} 个仓库 / {files} 个文件) ---', en: '\n--- 📈 Undocumented APIs by usage ({repos} repositories / {files} files scanned) ---' },
+    'usage.columns': { zh: ' 次数  {api} 类别   仓库', en: ' Uses  {api} Bucket Repositories' },
+    'usage.unused': { zh: '\n未被任何仓库引用的导出 ({count}): {names}', en: '\nExports not referenced by any repository ({count}): {names}' },
+
+    // snapshot
+    'snapshot.optionalOnly': { zh: ' (仅新增可选参数)', en: ' (only optional parameters added)' },
+    'snapshot.required': { zh: ' (必填)', en: ' (required)' },
+    'snapshot.coverage': { zh: '\n[覆盖率] {coverage}', en: '\n[coverage] {coverage}' },
+    'snapshot.written': { zh: '✅ API 快照已写入: {path} ({count} 个导出)', en: '✅ API snapshot written to: {path} ({count} exports)' },
+    'snapshot.previousMissing': { zh: '未找到旧的 API 快照: {path} (先运行 snapshot 生成)', en: 'Previous API snapshot not found: {path} (run snapshot first)' },
+    'snapshot.heading': { zh: '\n--- 🔍 API 变更 ({from} → {to}) ---', en: '\n--- 🔍 API changes ({from} → {to}) ---' },
+    'snapshot.previous': { zh: '旧快照', en: 'previous' },
+    'snapshot.current': { zh: '当前', en: 'current' },
+    'snapshot.added': { zh: '新增 ({count})', en: 'Added ({count})' },
+    'snapshot.removed': { zh: '删除 ({count})', en: 'Removed ({count})' },
+    'snapshot.changed': { zh: '签名变化 ({count})', en: 'Changed signatures ({count})' },
+    'snapshot.verdict': { zh: '\n结论: {breaking} 处可能的 breaking change，建议版本升级: {bump}', en: '\nVerdict: {breaking} possible breaking change(s), suggested version bump: {bump}' },
+
+    // git
+    'git.analyzingRef': { zh: '[git] 在临时 worktree 中分析 {ref} ({commit})', en: '[git] Analyzing {ref} ({commit}) in a temporary worktree' },
+    'git.notRepository': { zh: '{path} 不在 git 仓库中，无法分析 {ref}', en: '{path} is not in a git repository, cannot analyze {ref}' },
+    'git.unknownRef': { zh: '未知的 git 版本: {ref}', en: 'Unknown git ref: {ref}' },
+    'git.missingPath': { zh: '{ref} 中不存在 {path}', en: '{path} does not exist at {ref}' },
+    'git.uncommitted': { zh: '未提交的修改', en: 'Uncommitted changes' },
+    'git.blameFailed': { zh: '查询 git 历史失败: {message}', en: 'git history lookup failed: {message}' },
+    'git.blameHeading': { zh: '\n--- 🕒 未写文档的导出 (按引入时间从新到旧，共 {count} 个) ---', en: '\n--- 🕒 Undocumented exports, newest first ({count}) ---' },
+
+    // batch
+    'batch.expanded': { zh: '[批量] {path} 是 workspace 根目录，展开为 {count} 个子包。', en: '[batch] {path} is a workspace root, expanded into {count} packages.' },
+    'batch.found': { zh: '[批量] 共找到 {count} 个包。', en: '[batch] Found {count} packages.' },
+    'batch.progress': { zh: '\n=== [批量 {index}/{total}] {path} ===', en: '\n=== [batch {index}/{total}] {path} ===' },
+    'batch.saving': { zh: '\n[批量] 正在保存汇总报告...', en: '\n[batch] Saving the summary report...' },
+    'batch.heading': { zh: '\n--- 🚀 批量分析汇总 ---', en: '\n--- 🚀 Batch summary ---' },
+    'batch.inputMissing': { zh: '批量分析的目标不存在: {path}', en: 'Batch input does not exist: {path}' },
+    'batch.manifestInvalid': { zh: '无法读取 manifest {path}: {message}', en: 'Cannot read the manifest {path}: {message}' },
+    'batch.notPackage': { zh: '{path} 不是 npm 包 (没有 package.json)，已跳过', en: '{path} is not an npm package (no package.json), skipped' },
+
+    // diff / trend
+    'diff.notEnough': { zh: '{target} 的历史报告不足两份，无法对比。', en: '{target} has fewer than two saved reports to compare.' },
+    'diff.comparing': { zh: '[对比] {from}\n    -> {to}', en: '[diff] {from}\n    -> {to}' },
+    'diff.coverage': { zh: '[{bucket}] 覆盖率 {before} -> {after} ({delta})', en: '[{bucket}] coverage {before} -> {after} ({delta})' },
+    'diff.counts': { zh: '  新增: {added}  删除: {removed}  新增文档: {documented}  文档缺失: {undocumented}', en: '  added: {added}  removed: {removed}  newly documented: {documented}  lost docs: {undocumented}' },
+    'diff.overall': { zh: '总体', en: 'overall' },
+    'trend.count': { zh: '[趋势] 共 {count} 份报告\n', en: '[trend] {count} reports\n' },
+    'trend.columns': { zh: '时间                   {buckets}      总体', en: 'Time                   {buckets}   overall' },
+
+    // check
+    'check.thresholdInvalid': { zh: '{flag} 需要 0-100 之间的数字，收到: {value}', en: '{flag} expects a number between 0 and 100, got: {value}' },
+    'check.newUndocumented': { zh: '[{bucket}] 新增未文档化的导出 ({count}): {names}', en: '[{bucket}] New undocumented exports ({count}): {names}' },
+    'check.resolved': { zh: '[{bucket}] baseline 中已补文档或已删除的导出 ({count}): {names}', en: '[{bucket}] Baseline exports that are now documented or removed ({count}): {names}' },
+    'check.belowThreshold': { zh: '[{bucket}] 覆盖率 {coverage}% 低于阈值 {threshold}%', en: '[{bucket}] coverage {coverage}% is below the {threshold}% threshold' },
+    'check.strictErrors': { zh: '[strict] 分析过程中出现 {count} 个错误:\n    {errors}', en: '[strict] {count} error(s) during analysis:\n    {errors}' },
+    'check.baselineUpdated': { zh: '✅ baseline 已更新: {path}', en: '✅ Baseline updated: {path}' },
+    'check.usingBaseline': { zh: '[检查] 使用 baseline: {path}', en: '[check] Using baseline: {path}' },
+    'check.noBaseline': { zh: '[检查] 未找到 baseline ({path})，所有未文档化的导出都视为新增。', en: '[check] No baseline found ({path}), every undocumented export counts as new.' },
+    'check.heading': { zh: '\n--- 🚦 文档检查结果 ---', en: '\n--- 🚦 Documentation check ---' },
+    'check.bucket': { zh: '[{bucket}] {documented}/{total} 覆盖率 {coverage}{threshold}', en: '[{bucket}] {documented}/{total} coverage {coverage}{threshold}' },
+    'check.threshold': { zh: ' (阈值 {threshold}%)', en: ' (threshold {threshold}%)' },
+    'check.errorsIgnored': { zh: '⚠️  分析过程中出现 {count} 个错误 (使用 --strict 时将导致失败)。', en: '⚠️  {count} error(s) during analysis (these fail the check with --strict).' },
+    'check.passed': { zh: '✅ 检查通过', en: '✅ Check passed' },
+    'check.failed': { zh: '❌ 检查未通过 ({count} 项)', en: '❌ Check failed ({count} issue(s))' },
+
+    // 命令行
+    'cli.error': { zh: '错误: {message}', en: 'Error: {message}' },
+    'cli.unknownOption': { zh: '{command} 不支持选项 {flag}', en: 'Unknown option for {command}: {flag}' },
+    'cli.missingValue': { zh: '{flag} 需要一个值', en: '{flag} requires a value' },
+    'cli.unexpectedValue': { zh: '{flag} 不接受值', en: '{flag} does not take a value' },
+    'cli.missingArgument': { zh: '缺少参数 {name}', en: 'Missing argument {name}' },
+    'cli.unexpectedArgument': { zh: '多余的参数: {arg}', en: 'Unexpected argument: {arg}' },
+    'cli.invalidChoice': { zh: '{flag} 只能是 {choices}，收到: {value}', en: '{flag} must be one of {choices}, got: {value}' },
+    'cli.quietAndVerbose': { zh: '--quiet 与 --verbose 不能同时使用', en: '--quiet and --verbose cannot be used together' },
+    'cli.helpHint': { zh: '运行 node analyze.js {command} --help 查看用法。', en: 'Run node analyze.js {command} --help for usage.' },
+    'cli.optionsPlaceholder': { zh: '[选项]', en: '[options]' },
+    'cli.usage': { zh: '用法:', en: 'Usage:' },
+    'cli.commands': { zh: '命令:', en: 'Commands:' },
+    'cli.options': { zh: '选项:', en: 'Options:' },
+    'cli.globalOptions': { zh: '通用选项:', en: 'Global options:' },
+    'cli.pathsNote': { zh: '文件和目录参数都相对当前目录 (--source-entry 除外，它相对包根目录)。', en: 'File and directory options are relative to the current directory (except --source-entry, which is relative to the package root).' },
+    'cli.moreHelp': { zh: '各命令的选项: node analyze.js <command> --help', en: 'Options of each command: node analyze.js <command> --help' },
+
+    'help.command.analyze': { zh: '分析本地包的文档覆盖率并保存 JSON 报告 (默认命令，可省略)', en: 'Analyze a local package and save a JSON report (default command, the name can be omitted)' },
+    'help.command.report': { zh: '把已保存的报告生成 HTML / Markdown / SARIF，或用 --format 输出到终端', en: 'Render a saved report as HTML/Markdown/SARIF, or print it with --format' },
+    'help.command.diff': { zh: '对比某个包最近两份报告，或两个报告文件', en: 'Compare the latest two reports of a package, or two report files' },
+    'help.command.check': { zh: 'CI 检查: 覆盖率阈值与 baseline，不通过时退出码非零', en: 'CI gate: coverage thresholds and a baseline, exits non-zero on failure' },
+    'help.command.batch': { zh: '分析目录下或 manifest 中的所有包，并生成汇总报告', en: 'Analyze every package in a directory or manifest and write a combined report' },
+    'help.command.trend': { zh: '显示某个包历史报告的覆盖率变化', en: 'Show the coverage of every saved report of a package' },
+    'help.command.stubs': { zh: '为未写文档的导出生成 JSDoc 骨架补丁', en: 'Generate a patch with JSDoc stubs for undocumented exports' },
+    'help.command.usage': { zh: '按同级仓库中的使用次数给未写文档的 API 排序', en: 'Rank undocumented APIs by how often sibling repositories use them' },
+    'help.command.snapshot': { zh: '写出 API 快照，或与旧快照对比检测 breaking change', en: 'Write an API snapshot, or compare against an old one to detect breaking changes' },
+
+    'help.option.--mf-exposes': { zh: 'MF exposes 的 JSON，不再搜索配置文件', en: 'MF exposes as JSON, skips config discovery' },
+    'help.option.--mf-config': { zh: '读取 exposes 的 MF 配置文件 (webpack / rspack / Vite 等)', en: 'MF config file to read exposes from (webpack, rspack, Vite, ...)' },
+    'help.option.--members': { zh: '同时统计导出的类、接口、枚举的公开成员', en: 'Also count public members of exported classes, interfaces and enums' },
+    'help.option.--source': { zh: '通过包的 tsconfig 分析源码，而不是构建产物', en: 'Analyze sources through the package tsconfig instead of build output' },
+    'help.option.--source-entry': { zh: '源码模式的入口文件 (相对包根目录)', en: 'Source entry file, relative to the package root (implies --source)' },
+    'help.option.--tsconfig': { zh: '使用指定的 tsconfig', en: 'tsconfig to use' },
+    'help.option.--config': { zh: '项目配置文件 (默认: count-docs.config.* 或 package.json 的 countDocs)', en: 'Project config file (default: count-docs.config.* or "countDocs" in package.json)' },
+    'help.option.--ref': { zh: '在指定的 git 版本上分析 (临时 worktree)', en: 'Analyze the package at a git ref, in a temporary worktree' },
+    'help.option.--blame': { zh: '列出引入每个未写文档导出的提交', en: 'Show the commit that introduced each undocumented export' },
+    'help.option.--no-cache': { zh: '不使用分析缓存', en: 'Disable the analysis cache' },
+    'help.option.--html': { zh: '在 JSON 报告旁生成 HTML 报告', en: 'Write an HTML report next to the JSON report' },
+    'help.option.--md': { zh: '在 JSON 报告旁生成 Markdown 报告', en: 'Write a Markdown report next to the JSON report' },
+    'help.option.--sarif': { zh: '在 JSON 报告旁生成 SARIF 2.1.0 日志', en: 'Write a SARIF 2.1.0 log next to the JSON report' },
+    'help.option.--annotations': { zh: '输出 GitHub Actions annotations', en: 'Print GitHub Actions annotations' },
+    'help.option.--out': { zh: '报告目录 (默认: 脚本旁的 analysis_reports)', en: 'Report directory (default: analysis_reports next to the script)' },
+    'help.option.stubs --out': { zh: '把补丁写入文件，而不是输出到 stdout', en: 'Write the patch to a file instead of stdout' },
+    'help.option.snapshot --out': { zh: 'API 快照文件 (默认: <path>/count-docs.api.json)', en: 'API snapshot file (default: <path>/count-docs.api.json)' },
+    'help.option.report --format': { zh: '把报告打印到终端 (不指定时只生成 HTML / Markdown)', en: 'Print the report to the terminal (without it, only HTML/Markdown files are written)' },
+    'help.option.--format': { zh: '终端输出格式 (默认: {default})', en: 'Terminal output format (default: {default})' },
+    'help.option.--min': { zh: 'js / ts / mf 的最低覆盖率 (0-100)', en: 'Minimum js/ts/mf coverage (0-100)' },
+    'help.option.--min-js': { zh: 'js 的最低覆盖率，优先于 --min', en: 'Minimum js coverage, overrides --min' },
+    'help.option.--min-ts': { zh: 'ts 的最低覆盖率，优先于 --min', en: 'Minimum ts coverage, overrides --min' },
+    'help.option.--min-mf': { zh: 'mf 的最低覆盖率，优先于 --min', en: 'Minimum mf coverage, overrides --min' },
+    'help.option.--baseline': { zh: 'baseline 文件 (默认: <path>/count-docs.baseline.json)', en: 'Baseline file (default: <path>/count-docs.baseline.json)' },
+    'help.option.--update-baseline': { zh: '把当前未文档化的导出写入 baseline', en: 'Write the current undocumented exports to the baseline' },
+    'help.option.--strict': { zh: '分析错误也导致检查失败', en: 'Fail on analysis errors too' },
+    'help.option.snapshot --strict': { zh: '存在 breaking change 时退出码非零', en: 'Exit non-zero when there are breaking changes' },
+    'help.option.--repos': { zh: '要扫描的仓库所在目录 (默认: 包的上级目录)', en: 'Directory of the repositories to scan (default: the parent of the package)' },
+    'help.option.--remote': { zh: '同时统计的 MF remote 名称，逗号分隔', en: 'MF remote names to count as well, comma separated' },
+    'help.option.--compare': { zh: '与旧快照对比 (默认: --out 指定的快照文件)', en: 'Compare against an old snapshot (default: the --out snapshot file)' },
+    'help.option.--lang': { zh: '消息语言 (默认: zh，或环境变量 COUNT_DOCS_LANG)', en: 'Message language (default: zh, or the COUNT_DOCS_LANG environment variable)' },
+    'help.option.--quiet': { zh: '只输出结果和错误', en: 'Only print results and errors' },
+    'help.option.--verbose': { zh: '同时输出每个分析的文件以及全部警告和错误', en: 'Also print every analyzed file and all warnings and errors' },
+    'help.option.--help': { zh: '显示帮助', en: 'Show help' },
+};
+
+/**
+ * 切换消息语言 ('zh' | 'en')，对之后的日志、报告中的 warnings / errors 和帮助生效。
+ */
+function setLanguage(language) {
+    if (!LANGUAGES.includes(language)) {
+        throw new Error(t('cli.invalidChoice', { flag: '--lang', choices: LANGUAGES.join(' | '), value: language }));
+    }
+    currentLanguage = language;
+}
+
+function t(key, params = {}) {
+    const template = MESSAGES[key]?.[currentLanguage] ?? key;
+    return template.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+}
+
+// -----------------------------------------------------------------------------
+// 分析上下文 (tsconfig 编译选项等)，按 results 对象隔离
+// -----------------------------------------------------------------------------
+
+const analysisContexts = new WeakMap();
+
+// 库调用默认不打印任何日志，CLI 传入 console
+const silentLogger = { log() {}, warn() {}, error() {}, debug() {} };
+
+function getLogger(results) {
+    return getAnalysisContext(results).logger || silentLogger;
+}
+
+function getAnalysisContext(results) {
+    return analysisContexts.get(results) || { compilerOptions: defaultTsCompilerOptions };
+}
+
+/**
+ * 读取包的 tsconfig.json (跟随 extends)。未找到时返回 null。
+ */
+function loadTsConfig(packageRoot, explicitPath = null) {
+    const configPath = explicitPath || ts.findConfigFile(packageRoot, ts.sys.fileExists, 'tsconfig.json');
+    if (!configPath) return null;
+    const { config, error } = ts.readConfigFile(configPath, ts.sys.readFile);
+    if (error) {
+        throw new Error(t('tsconfig.readFailed', { path: configPath, message: ts.flattenDiagnosticMessageText(error.messageText, '\n') }));
+    }
+    const parsed = ts.parseJsonConfigFileContent(config, ts.sys, path.dirname(configPath), undefined, configPath);
+    // 18003: "No inputs were found"，对分析没有影响
+    const errors = parsed.errors
+        .filter(diagnostic => diagnostic.code !== 18003)
+        .map(diagnostic => `tsconfig (${configPath}): ${ts.flattenDiagnosticMessageText(diagnostic.messageText, '\n')}`);
+    return {
+        configPath,
+        errors,
+        compilerOptions: { ...defaultTsCompilerOptions, ...parsed.options, allowJs: true, noEmit: true },
+    };
+}
+
+/**
+ * 共享 TS program: 首次需要时以所有已知 TS 入口为根创建，遇到不在其中的文件时增量扩展 (复用 oldProgram)。
+ */
+function getSharedProgram(filePath, results) {
+    const context = getAnalysisContext(results);
+    if (context.program?.getSourceFile(filePath)) return context.program;
+    const startedAt = performance.now();
+    context.rootNames = [...new Set([...(context.rootNames || []), filePath])];
+    context.program = ts.createProgram(context.rootNames, context.compilerOptions, undefined, context.program);
+    if (context.timings) context.timings.program += performance.now() - startedAt;
+    return context.program;
+}
+
+// 按 tsconfig 的 paths / baseUrl 解析非相对说明符，只返回包内 (非 node_modules) 的文件
+function resolveAliasPath(specifier, containingFile, results) {
+    const { compilerOptions } = getAnalysisContext(results);
+    if (!compilerOptions.paths && !compilerOptions.baseUrl) return null;
+    const { resolvedModule } = ts.resolveModuleName(specifier, containingFile, compilerOptions, ts.sys);
+    if (!resolvedModule || resolvedModule.isExternalLibraryImport) return null;
+    return path.resolve(resolvedModule.resolvedFileName);
+}
+
+const BUILD_OUTPUT_DIRS = ['dist', 'lib', 'build', 'es', 'esm', 'cjs', 'umd', 'types', 'typings', 'out'];
+const SOURCE_EXTENSIONS = ['.ts', '.tsx', '.mts', '.cts', '.js', '.jsx', '.mjs', '.cjs'];
+
+/**
+ * 把构建产物 (main/types/exports 目标) 映射回源码文件。
+ * 优先使用 tsconfig 的 outDir/declarationDir → rootDir，其次按 dist|lib|... → src 的目录约定猜测。
+ */
+async function mapToSourceFile(builtFile, packageRoot, compilerOptions) {
+    const stripped = builtFile.replace(/(\.d)?\.[mc]?[jt]sx?$/, '');
+    const sourceRoot = compilerOptions.rootDir
+        || (await fs.pathExists(path.join(packageRoot, 'src')) ? path.join(packageRoot, 'src') : packageRoot);
+    const bases = [];
+    for (const outDir of [compilerOptions.declarationDir, compilerOptions.outDir].filter(Boolean)) {
+        const relative = path.relative(outDir, stripped);
+        if (!relative.startsWith('..') && !path.isAbsolute(relative)) bases.push(path.join(sourceRoot, relative));
+    }
+    const segments = path.relative(packageRoot, stripped).split(path.sep);
+    // dist/index → src/index，dist/esm/index → src/index
+    for (let depth = 1; depth <= 2 && depth < segments.length; depth++) {
+        if (!segments.slice(0, depth).every(segment => BUILD_OUTPUT_DIRS.includes(segment))) break;
+        bases.push(path.join(sourceRoot, ...segments.slice(depth)));
+    }
+    for (const base of bases) {
+        for (const candidate of [...SOURCE_EXTENSIONS.map(ext => `${base}${ext}`), ...SOURCE_EXTENSIONS.map(ext => path.join(base, `index${ext}`))]) {
+            if (await fs.pathExists(candidate) && (await fs.stat(candidate)).isFile()) return candidate;
+        }
+    }
+    return null;
+}
+
+// -----------------------------------------------------------------------------
+// 项目配置 (count-docs.config.{json,js} 或 package.json 的 "countDocs")
+// -----------------------------------------------------------------------------
+
+const PROJECT_CONFIG_FILES = ['count-docs.config.json', 'count-docs.config.js', 'count-docs.config.mjs', 'count-docs.config.cjs'];
+const DEFAULT_MF_CONFIG_GLOB = '**/{webpack,webpack.config,rspack,rspack.config,vite.config,mf.config,module-federation.config}{,.*}.{js,mjs,cjs,ts,mts,cts}';
+const DEFAULT_PROJECT_CONFIG = {
+    mfExposes: null,
+    mfConfig: null,
+    mfConfigGlob: DEFAULT_MF_CONFIG_GLOB,
+    entries: [],
+    // apis 按导出名匹配，files 按声明文件 (相对包根目录) 匹配
+    ignore: { apis: ['__*'], files: [] },
+    // 带这些 JSDoc 标签的导出不计入公开 API，例如 ['internal', 'private', 'hidden', 'ignore']
+    excludeTags: [],
+    // README、docs 站点和 Storybook，设为 false 时不统计外部文档
+    externalDocs: ['README.md', 'docs/**/*.{md,mdx}', '**/*.stories.{js,jsx,ts,tsx,mdx}'],
+};
+
+// 把简单的 glob (`*`、`**`、`?`) 转成正则
+function globToRegExp(pattern) {
+    let source = '';
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+        if (char === '*' && pattern[i + 1] === '*') {
+            source += '.*';
+            i++;
+            if (pattern[i + 1] === '/') i++;
+        } else if (char === '*') {
+            source += '[^/]*';
+        } else if (char === '?') {
+            source += '[^/]';
+        } else {
+            source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        }
+    }
+    return new RegExp(`^${source}$`);
+}
+
+/**
+ * 读取项目配置，配置文件优先于 package.json 的 "countDocs" 字段。
+ * JS 配置可以导出对象，或返回对象的 (async) 函数。
+ */
+async function loadProjectConfig(packageRoot, packageJson, explicitPath = null) {
+    const candidates = explicitPath ? [explicitPath] : PROJECT_CONFIG_FILES.map(file => path.join(packageRoot, file));
+    let userConfig = null;
+    let configPath = null;
+    for (const candidate of candidates) {
+        if (!(await fs.pathExists(candidate))) continue;
+        configPath = candidate;
+        if (candidate.endsWith('.json')) {
+            userConfig = await fs.readJson(candidate);
+        } else {
+            const imported = await import(pathToFileURL(candidate).href);
+            const exported = imported.default ?? imported;
+            userConfig = typeof exported === 'function' ? await exported() : exported;
+        }
+        break;
+    }
+    if (explicitPath && !configPath) {
+        throw new Error(t('config.notFound', { path: explicitPath }));
+    }
+    if (!userConfig && packageJson.countDocs) {
+        userConfig = packageJson.countDocs;
+        configPath = path.join(packageRoot, 'package.json');
+    }
+    const config = {
+        ...DEFAULT_PROJECT_CONFIG,
+        ...userConfig,
+        // 用户的 ignore 模式追加在默认模式之后，不替换默认的 `__*`
+        ignore: {
+            apis: [...new Set([...DEFAULT_PROJECT_CONFIG.ignore.apis, ...(userConfig?.ignore?.apis || [])])],
+            files: [...new Set([...DEFAULT_PROJECT_CONFIG.ignore.files, ...(userConfig?.ignore?.files || [])])],
+        },
+        configPath,
+    };
+    config.ignoreApiPatterns = config.ignore.apis.map(globToRegExp);
+    config.ignoreFilePatterns = config.ignore.files.map(globToRegExp);
+    return config;
+}
+
+/**
+ * 判断导出是否应从公开 API 统计中排除，返回原因或 null。
+ */
+function exclusionReason(results, apiName, filePath, tags = []) {
+    const config = getAnalysisContext(results).projectConfig;
+    if (!config) return apiName.startsWith('__') ? 'ignore.apis: __*' : null;
+    const apiPattern = config.ignore.apis.find((pattern, index) => config.ignoreApiPatterns[index].test(apiName));
+    if (apiPattern) return `ignore.apis: ${apiPattern}`;
+    if (filePath && results.packagePath) {
+        const relative = path.relative(results.packagePath, filePath).split(path.sep).join('/');
+        const filePattern = config.ignore.files.find((pattern, index) => config.ignoreFilePatterns[index].test(relative));
+        if (filePattern) return `ignore.files: ${filePattern}`;
+    }
+    const tag = tags.find(name => config.excludeTags.includes(name));
+    return tag ? `@${tag}` : null;
+}
+
+function recordExclusion(results, bucketKey, apiName, reason) {
+    if (!results.excluded.some(entry => entry.name === apiName && entry.bucket === bucketKey)) {
+        results.excluded.push({ name: apiName, bucket: bucketKey, reason });
+    }
+}
+
+// 宽松解析 CLI 传入的 JSON: 允许未加引号的 key (含 `./Button` 这类) 和单引号字符串
+function parseLooseJson(input) {
+    try {
+        return JSON.parse(input);
+    } catch (e) {
+        const normalized = input
+            .replace(/'([^'\\]*(?:\\.[^'\\]*)*)'/g, (match, inner) => JSON.stringify(inner))
+            .replace(/([{,]\s*)([\w./@-]+)(\s*:)/g, '$1"$2"$3');
+        return JSON.parse(normalized);
+    }
+}
+
+// -----------------------------------------------------------------------------
+// 分析结果缓存 (按内容哈希)
+// -----------------------------------------------------------------------------
+
+// 缓存记录结构变化时递增
+const CACHE_VERSION = 7;
+
+function hashContent(content) {
+    return crypto.createHash('sha1').update(content).digest('hex');
+}
+
+function cachedFileHash(filePath, context) {
+    if (!context.fileHashes.has(filePath)) {
+        const content = ts.sys.readFile(filePath);
+        context.fileHashes.set(filePath, content === undefined ? 'missing' : hashContent(content));
+    }
+    return context.fileHashes.get(filePath);
+}
+
+// 文件的包内直接依赖 (import / export from / 三斜线引用)，不含 node_modules
+function directDependencies(filePath, results) {
+    const context = getAnalysisContext(results);
+    if (context.dependencyGraph.has(filePath)) return context.dependencyGraph.get(filePath);
+    const packageRoot = path.resolve(results.packagePath);
+    const content = ts.sys.readFile(filePath) || '';
+    const info = ts.preProcessFile(content, true, true);
+    const dependencies = [];
+    for (const { fileName } of [...info.importedFiles, ...info.referencedFiles]) {
+        const { resolvedModule } = ts.resolveModuleName(fileName, filePath, context.compilerOptions, ts.sys);
+        if (!resolvedModule || resolvedModule.isExternalLibraryImport) continue;
+        const resolved = path.resolve(resolvedModule.resolvedFileName);
+        if (resolved.startsWith(packageRoot)) dependencies.push(resolved);
+    }
+    context.dependencyGraph.set(filePath, dependencies);
+    return dependencies;
+}
+
+/**
+ * 缓存 key = 分析选项 + 文件自身及全部包内传递依赖的内容哈希。
+ * 任何一个依赖文件变化都会使 key 失效，未变化的文件仍然命中。
+ */
+function tsFileCacheKey(filePath, results) {
+    const context = getAnalysisContext(results);
+    const closure = new Set([filePath]);
+    const pending = [filePath];
+    while (pending.length > 0) {
+        for (const dependency of directDependencies(pending.pop(), results)) {
+            if (!closure.has(dependency)) {
+                closure.add(dependency);
+                pending.push(dependency);
+            }
+        }
+    }
+    const fingerprint = [...closure].sort().map(file => `${file}:${cachedFileHash(file, context)}`).join('\n');
+    const options = JSON.stringify({ compilerOptions: context.compilerOptions, members: Boolean(results.members), signatures: Boolean(results.signatures), packageRoot: results.packagePath });
+    return hashContent(`${CACHE_VERSION}\n${options}\n${fingerprint}`);
+}
+
+function readCachedRecord(cache, filePath, key) {
+    const entry = cache.entries[filePath];
+    if (entry && entry.key === key) {
+        cache.hits++;
+        return entry.record;
+    }
+    cache.misses++;
+    return null;
+}
+
+function writeCachedRecord(cache, filePath, key, record) {
+    cache.entries[filePath] = { key, record };
+    cache.dirty = true;
+}
+
+// 库调用 `cache: true` 时使用系统的用户缓存目录，而不是工具自身的安装目录 (作为依赖时在 node_modules 里)
+function defaultCacheDir() {
+    const home = os.homedir();
+    const base = process.env.XDG_CACHE_HOME
+        || (process.platform === 'darwin' ? path.join(home, 'Library', 'Caches')
+            : process.platform === 'win32' ? (process.env.LOCALAPPDATA || path.join(home, 'AppData', 'Local'))
+            : path.join(home, '.cache'));
+    return path.join(base, 'count-docs');
+}
+
+// 同名的包 (如不同仓库的副本) 各用一个缓存文件
+function analysisCacheFile(cacheDir, packageName, packageRoot) {
+    const rootHash = crypto.createHash('sha1').update(packageRoot).digest('hex').slice(0, 8);
+    return path.join(cacheDir, `${toSafeProjectName(packageName)}-${rootHash}.json`);
+}
+
+async function loadAnalysisCache(cachePath) {
+    const cache = { path: cachePath, entries: {}, hits: 0, misses: 0, dirty: false };
+    try {
+        const stored = await fs.readJson(cachePath);
+        if (stored.version === CACHE_VERSION) cache.entries = stored.entries || {};
+    } catch (e) {
+        // 没有缓存或缓存损坏时从头分析
+    }
+    return cache;
+}
+
+async function saveAnalysisCache(cache, logger = silentLogger) {
+    if (!cache.dirty) return;
+    try {
+        await fs.ensureDir(path.dirname(cache.path));
+        await fs.writeJson(cache.path, { version: CACHE_VERSION, entries: cache.entries });
+    } catch (e) {
+        logger.error(t('cache.saveFailed', { message: e.message }));
+    }
+}
+
 async function safeReadFile(filePath) {
     try { return await fs.readFile(filePath, 'utf-8'); } catch (e) { return null; }
 }
@@ -95,495 +1077,4110 @@ async function resolveModulePath(baseDir, relativePath, extensions) {
     if (await fs.pathExists(absolutePath) && (await fs.stat(absolutePath)).isFile()) {
         return absolutePath;
     }
+    // ESM 风格的 `./foo.js` / `./foo.mjs` 实际指向 foo.ts / foo.d.mts 等
+    const substitutes = { '.js': ['.ts', '.tsx', '.d.ts'], '.mjs': ['.mts', '.d.mts'], '.cjs': ['.cts', '.d.cts'] };
+    const jsExt = path.extname(absolutePath);
+    for (const ext of substitutes[jsExt] || []) {
+        const fullPath = `${absolutePath.slice(0, -jsExt.length)}${ext}`;
+        if (extensions.includes(ext) && await fs.pathExists(fullPath) && (await fs.stat(fullPath)).isFile()) {
+            return fullPath;
+        }
+    }
     return null;
 }
 
 // -----------------------------------------------------------------------------
-// 核心分析器 (V12 架构重构)
+// JSDoc 质量评估 (doctrine)
 // -----------------------------------------------------------------------------
 
-/**
- * 1. 分析 JS 文件 (仅限 .js, .mjs, .cjs)
- */
-async function parseJsFile(filePath, results) {
-    const newFilesToAnalyze = new Set();
-    const code = await safeReadFile(filePath);
-    if (!code) {
-        results.errors.push(`Could not read JS entry file: ${filePath}`);
-        return newFilesToAnalyze;
-    }
+const QUALITY_LEVELS = ['missing', 'stub', 'partial', 'complete'];
+const PLACEHOLDER_SUMMARY = /^(todo|fixme|tbd|xxx|wip|placeholder|description)\b[\s.:!-]*$/i;
 
-    let ast;
+function parseJSDocText(text) {
+    if (!text) return null;
     try {
-        ast = babelParse(code, {
-            sourceType: 'module',
-            plugins: ['jsx', 'exportDefaultFrom'], // V12: 移除 'typescript' 插件
-        });
+        return doctrine.parse(text, { unwrap: true, sloppy: true, recoverable: true });
     } catch (e) {
-        results.errors.push(`Babel parse error in ${filePath}: ${e.message}`);
-        return newFilesToAnalyze;
+        return null;
     }
+}
 
-    const traverse = babelTraverse.default;
-    const relativePathsToResolve = []; 
-    
-    // 阶段 1: 同步收集
-    traverse(ast, {
-        ExportNamedDeclaration: (path) => { 
-            if (path.node.source) {
-                const relativePath = path.node.source.value;
-                if (relativePath.startsWith('.')) {
-                    relativePathsToResolve.push(relativePath); 
-                } else {
-                    results.reExports.add(relativePath);
+/**
+ * 按 summary / @param / @returns 给一段 JSDoc 打分。
+ * params 为函数参数名数组 (解构参数为 null)，非函数时传 null；returnsValue 表示函数是否有非 void 返回值。
+ */
+function gradeJSDoc(jsDocText, params = null, returnsValue = false) {
+    const parsed = parseJSDocText(jsDocText);
+    if (!parsed) return { level: 'missing', issues: [] };
+
+    const issues = [];
+    const summary = (parsed.description || '').trim();
+    const hasSummary = summary.length > 0 && !PLACEHOLDER_SUMMARY.test(summary);
+    if (!hasSummary) issues.push('missing-summary');
+
+    // 只比较顶层参数，`@param options.foo` 这类属性描述不算独立参数
+    const paramTags = parsed.tags.filter(tag => ['param', 'arg', 'argument'].includes(tag.title));
+    const documentedParams = paramTags.map(tag => tag.name).filter(name => name && !name.includes('.'));
+    if (params) {
+        params.forEach((name, index) => {
+            const documented = name === null ? documentedParams.length > index : documentedParams.includes(name);
+            if (!documented) issues.push(`missing-param:${name ?? `#${index}`}`);
+        });
+        const namedParams = new Set(params.filter(Boolean));
+        documentedParams.forEach((name, index) => {
+            // 解构参数允许任意名字，只要位置对得上
+            if (!namedParams.has(name) && params[index] !== null) issues.push(`stale-param:${name}`);
+        });
+        const hasReturns = parsed.tags.some(tag => tag.title === 'returns' || tag.title === 'return');
+        if (returnsValue && !hasReturns) issues.push('missing-returns');
+    }
+
+    let level = 'complete';
+    if (issues.length > 0) {
+        const hasUsefulTags = parsed.tags.some(tag => tag.description || tag.type);
+        level = (!hasSummary && !hasUsefulTags) ? 'stub' : 'partial';
+    }
+    return { level, issues };
+}
+
+// 记录导出所在的文件 (相对包根目录) 和声明位置 (1-based 行列，未知时为 null)，同名导出以第一次出现为准
+function recordSource(bucket, apiName, filePath, packageRoot, position = null) {
+    if (!filePath || bucket.sources[apiName]) return;
+    bucket.sources[apiName] = packageRoot ? path.relative(packageRoot, filePath) : filePath;
+    bucket.locations[apiName] = { file: bucket.sources[apiName], line: position?.line ?? null, column: position?.column ?? null };
+}
+
+// 声明名称的位置；没有名称时 (如 export default 表达式) 取声明本身
+function tsDeclarationPosition(declaration) {
+    if (!declaration) return null;
+    const node = ts.getNameOfDeclaration(declaration) || declaration;
+    const { line, character } = node.getSourceFile().getLineAndCharacterOfPosition(node.getStart());
+    return { line: line + 1, column: character + 1 };
+}
+
+function babelNodePosition(node) {
+    const loc = (node?.id || node)?.loc;
+    return loc ? { line: loc.start.line, column: loc.start.column + 1 } : null;
+}
+
+function recordQuality(bucket, apiName, quality) {
+    const previous = bucket.quality[apiName];
+    if (previous && QUALITY_LEVELS.indexOf(previous.level) >= QUALITY_LEVELS.indexOf(quality.level)) return;
+    bucket.quality[apiName] = quality;
+}
+
+// Babel: 取参数名 (解构参数记为 null)
+function babelParamNames(fnNode) {
+    return fnNode.params.map(param => {
+        if (param.type === 'AssignmentPattern') param = param.left;
+        if (param.type === 'RestElement') param = param.argument;
+        return param.type === 'Identifier' ? param.name : null;
+    });
+}
+
+// Babel: 函数体内 (不含嵌套函数) 是否有带值的 return
+function babelReturnsValue(fnNode) {
+    if (fnNode.type === 'ArrowFunctionExpression' && fnNode.body.type !== 'BlockStatement') return true;
+    if (fnNode.generator) return true;
+    let found = false;
+    const visit = (node) => {
+        if (!node || found || typeof node.type !== 'string') return;
+        if (node.type === 'ReturnStatement') { if (node.argument) found = true; return; }
+        if (/Function|ClassMethod|ObjectMethod/.test(node.type)) return;
+        for (const key of Object.keys(node)) {
+            if (['loc', 'leadingComments', 'trailingComments', 'innerComments'].includes(key)) continue;
+            const child = node[key];
+            if (Array.isArray(child)) child.forEach(visit);
+            else if (child && typeof child === 'object') visit(child);
+        }
+    };
+    fnNode.body.body.forEach(visit);
+    return found;
+}
+
+// Babel: 取 JSDoc 标签 [{ name, text }]
+function babelJSDocTags(commentNode) {
+    const comments = commentNode?.leadingComments;
+    const lastComment = comments && comments[comments.length - 1];
+    if (!lastComment || lastComment.type !== 'CommentBlock' || !lastComment.value.startsWith('*')) return [];
+    const parsed = parseJSDocText(`/*${lastComment.value}*/`);
+    return parsed?.tags.map(tag => ({ name: tag.title, text: [tag.name, tag.description].filter(Boolean).join(' ') })) || [];
+}
+
+function gradeBabelDeclaration(commentNode, declNode) {
+    const comments = commentNode?.leadingComments;
+    const lastComment = comments && comments[comments.length - 1];
+    const jsDocText = (lastComment && lastComment.type === 'CommentBlock' && lastComment.value.startsWith('*'))
+        ? `/*${lastComment.value}*/`
+        : null;
+    let fnNode = declNode;
+    if (fnNode?.type === 'VariableDeclarator') fnNode = fnNode.init;
+    const isFunction = fnNode && /^(FunctionDeclaration|FunctionExpression|ArrowFunctionExpression|ObjectMethod)$/.test(fnNode.type);
+    if (!isFunction) return gradeJSDoc(jsDocText);
+    return gradeJSDoc(jsDocText, babelParamNames(fnNode), babelReturnsValue(fnNode));
+}
+
+// TS: 取声明上最近的一段 JSDoc 原文
+function tsJSDocText(declaration) {
+    const jsDocs = ts.getJSDocCommentsAndTags(declaration).filter(node => node.kind === ts.SyntaxKind.JSDoc);
+    const lastJsDoc = jsDocs[jsDocs.length - 1];
+    if (!lastJsDoc) return null;
+    return lastJsDoc.getSourceFile().text.slice(lastJsDoc.pos, lastJsDoc.end);
+}
+
+function gradeTsSymbol(symbol, checker) {
+    const declaration = symbol.valueDeclaration || symbol.declarations?.[0];
+    if (!declaration) return { level: 'missing', issues: [] };
+    const jsDocText = tsJSDocText(declaration);
+    const isClassLike = symbol.flags & (ts.SymbolFlags.Class | ts.SymbolFlags.Interface);
+    const signatures = isClassLike
+        ? []
+        : checker.getTypeOfSymbolAtLocation(symbol, declaration).getCallSignatures();
+    if (signatures.length === 0) return gradeJSDoc(jsDocText);
+
+    const signature = signatures[0];
+    const params = signature.getParameters().map(param => {
+        const paramDecl = param.valueDeclaration;
+        return paramDecl && ts.isParameter(paramDecl) && !ts.isIdentifier(paramDecl.name) ? null : param.name;
+    });
+    let returnType = signature.getReturnType();
+    // Promise<void> 也视为无返回值
+    const awaited = checker.getAwaitedType?.(returnType);
+    if (awaited) returnType = awaited;
+    const voidFlags = ts.TypeFlags.Void | ts.TypeFlags.Undefined | ts.TypeFlags.Never;
+    const returnsValue = !(returnType.flags & voidFlags);
+    return gradeJSDoc(jsDocText, params, returnsValue);
+}
+
+// -----------------------------------------------------------------------------
+// API 稳定性 (@public / @beta / @alpha / @experimental / @deprecated / @since)
+// -----------------------------------------------------------------------------
+
+// 同时出现多个稳定性标签时取靠前的 (deprecated 优先)
+const STABILITY_TAGS = ['deprecated', 'experimental', 'alpha', 'beta', 'public'];
+const STABILITY_GROUPS = ['public', 'beta', 'alpha', 'experimental', 'deprecated', 'untagged'];
+const REPLACEMENT_HINT = /\b(use|instead|replaced|prefer|migrate)\b|\{@link/i;
+
+/**
+ * 从 JSDoc 标签 ([{ name, text }]) 提取稳定性信息；没有任何相关标签时返回 null。
+ * deprecated 为废弃说明 (可能是空字符串)，replacement 表示是否给出了 @see 或 "use X instead" 之类的替代提示。
+ */
+function describeLifecycle(tags) {
+    const find = (name) => tags.find(tag => tag.name === name);
+    const stability = STABILITY_TAGS.find(name => find(name)) || 'untagged';
+    const since = find('since')?.text.trim() || null;
+    if (stability === 'untagged' && !since) return null;
+    const deprecated = find('deprecated');
+    return {
+        stability,
+        since,
+        deprecated: deprecated ? deprecated.text.trim() : null,
+        replacement: deprecated ? Boolean(find('see') || REPLACEMENT_HINT.test(deprecated.text)) : null,
+    };
+}
+
+function recordLifecycle(bucket, apiName, lifecycle) {
+    if (!lifecycle || bucket.lifecycle[apiName]) return;
+    bucket.lifecycle[apiName] = lifecycle;
+}
+
+// 按稳定性分组并收集 @since (在 finalizeBuckets 中调用)
+function groupByStability(bucket) {
+    bucket.stability = Object.fromEntries(STABILITY_GROUPS.map(group => [group, []]));
+    bucket.since = {};
+    for (const name of bucket.list) {
+        const lifecycle = bucket.lifecycle[name];
+        bucket.stability[lifecycle?.stability || 'untagged'].push(name);
+        if (lifecycle?.since) bucket.since[name] = lifecycle.since;
+    }
+    bucket.stabilityCounts = Object.fromEntries(STABILITY_GROUPS.map(group => [group, bucket.stability[group].length]));
+}
+
+/**
+ * 废弃 API 的治理警告: 缺少替代提示，或仍从主入口 (`.`) 导出。
+ */
+function collectLifecycleWarnings(results) {
+    const mainEntry = results.subpaths?.['.'];
+    const warned = new Set();
+    for (const key of ['js', 'ts']) {
+        const exportedFromMain = new Set(mainEntry ? [...mainEntry.js.list, ...mainEntry.ts.list] : results[key].list);
+        for (const name of results[key].stability.deprecated) {
+            if (warned.has(name)) continue;
+            warned.add(name);
+            const { replacement } = results[key].lifecycle[name];
+            const source = results[key].sources[name];
+            if (!replacement) results.warnings.push(t('lifecycle.noReplacement', { name }));
+            if (exportedFromMain.has(name)) results.warnings.push(t('lifecycle.exportedFromMain', { name, declaredIn: source ? t('lifecycle.declaredIn', { source }) : '' }));
+        }
+    }
+}
+
+// -----------------------------------------------------------------------------
+// 外部文档 (README / docs / Storybook)
+// -----------------------------------------------------------------------------
+
+const DOC_SOURCES = ['inline', 'external', 'both', 'none'];
+const IDENTIFIER_PATTERN = /[A-Za-z_$][\w$]*/g;
+// 每个 API 最多记录的外部文档位置
+const MAX_EXTERNAL_REFS = 10;
+
+/**
+ * 收集 Markdown/MDX 中标题和代码块里出现的标识符，以及 MDX 中 Storybook `<Meta>` 等组件的 title/component/of 属性。
+ */
+function indexMarkdownDoc(text, addRef) {
+    let fence = null;
+    for (const line of text.split('\n')) {
+        const fenceMatch = line.match(/^\s*(`{3,}|~{3,})/);
+        if (fenceMatch) {
+            if (!fence) fence = fenceMatch[1][0];
+            else if (fenceMatch[1][0] === fence) fence = null;
+            continue;
+        }
+        if (fence) {
+            addRef(line.match(IDENTIFIER_PATTERN), 'code');
+            continue;
+        }
+        const heading = line.match(/^#{1,6}\s+(.*)/);
+        if (heading) addRef(heading[1].match(IDENTIFIER_PATTERN), 'heading');
+        for (const [, attribute, value] of line.matchAll(/\b(title|component|of)=\{?\s*["'`]?([^"'`}]+)/g)) {
+            addRef(attribute === 'title' ? storyTitleNames(value) : value.match(IDENTIFIER_PATTERN), 'story');
+        }
+    }
+}
+
+// "Components/Date Picker" → ['DatePicker', 'Date', 'Picker']
+function storyTitleNames(title) {
+    const lastSegment = title.split('/').pop().trim();
+    return [lastSegment.replace(/\s+/g, ''), ...(lastSegment.match(IDENTIFIER_PATTERN) || [])];
+}
+
+/**
+ * 从 CSF 文件的 default export (可以是对象字面量，或指向对象字面量的变量) 读取 title、component 和 subcomponents。
+ */
+function indexStoriesFile(sourceFile, addRef) {
+    const unwrap = (node) => {
+        while (node && (ts.isParenthesizedExpression(node) || ts.isAsExpression(node) || ts.isSatisfiesExpression(node) || ts.isTypeAssertionExpression(node))) {
+            node = node.expression;
+        }
+        return node;
+    };
+    const objectLiterals = new Map();
+    let meta = null;
+    for (const statement of sourceFile.statements) {
+        if (ts.isVariableStatement(statement)) {
+            statement.declarationList.declarations.forEach(declaration => {
+                const initializer = unwrap(declaration.initializer);
+                if (ts.isIdentifier(declaration.name) && initializer && ts.isObjectLiteralExpression(initializer)) {
+                    objectLiterals.set(declaration.name.text, initializer);
                 }
-            } else if (path.node.declaration) {
-                const declarations = path.node.declaration.declarations || [path.node.declaration];
-                declarations.forEach(decl => {
-                    const apiName = decl.id?.name || (decl.id?.type === 'ObjectPattern' ? '[ObjectPattern]' : 'unknown');
-                    results.js.list.push(apiName);
-                    if (!hasValidJSDocBabel(path.node)) { results.js.undocumentedList.push(apiName); }
-                    else { results.js.documentedList.push(apiName); }
-                });
-            } else if (path.node.specifiers) {
-                path.node.specifiers.forEach(spec => {
-                    const apiName = spec.exported.name || spec.exported.value;
-                    results.js.list.push(apiName);
-                    if (!hasValidJSDocBabel(path.node)) { results.js.undocumentedList.push(apiName); }
-                    else { results.js.documentedList.push(apiName); }
+            });
+        } else if (ts.isExportAssignment(statement) && !statement.isExportEquals) {
+            meta = unwrap(statement.expression);
+        }
+    }
+    if (meta && ts.isIdentifier(meta)) meta = objectLiterals.get(meta.text);
+    if (!meta || !ts.isObjectLiteralExpression(meta)) return;
+
+    const componentName = (node) => {
+        node = unwrap(node);
+        if (ts.isIdentifier(node)) return node.text;
+        if (ts.isPropertyAccessExpression(node)) return node.name.text;
+        return null;
+    };
+    for (const property of meta.properties) {
+        if (!ts.isPropertyAssignment(property) || !property.name || !ts.isIdentifier(property.name)) continue;
+        const value = unwrap(property.initializer);
+        if (property.name.text === 'title' && ts.isStringLiteralLike(value)) {
+            addRef(storyTitleNames(value.text), 'story');
+        } else if (property.name.text === 'component') {
+            addRef([componentName(value)], 'story');
+        } else if (property.name.text === 'subcomponents' && ts.isObjectLiteralExpression(value)) {
+            addRef(value.properties.map(sub => (ts.isPropertyAssignment(sub) ? componentName(sub.initializer) : ts.isShorthandPropertyAssignment(sub) ? sub.name.text : null)), 'story');
+        }
+    }
+}
+
+/**
+ * 按 patterns (相对包根目录的 glob) 建立外部文档索引: 标识符 → [{ file, kind }]，kind 为 heading / code / story。
+ */
+async function indexExternalDocs(packageRoot, patterns, results) {
+    const files = await glob(patterns, {
+        cwd: packageRoot,
+        nodir: true,
+        nocase: true,
+        ignore: ['**/node_modules/**', '**/dist/**', '**/build/**'],
+    });
+    files.sort();
+    const index = new Map();
+    for (const file of files) {
+        const seen = new Set();
+        const addRef = (names, kind) => {
+            for (const name of names || []) {
+                if (!name || seen.has(`${kind}:${name}`)) continue;
+                seen.add(`${kind}:${name}`);
+                if (!index.has(name)) index.set(name, []);
+                index.get(name).push({ file, kind });
+            }
+        };
+        let text;
+        try {
+            text = await fs.readFile(path.join(packageRoot, file), 'utf-8');
+        } catch (e) {
+            results.warnings.push(t('externalDocs.readFailed', { file, message: e.message }));
+            continue;
+        }
+        if (/\.mdx?$/i.test(file)) {
+            indexMarkdownDoc(text, addRef);
+        } else {
+            const scriptKind = /\.[jt]sx$/.test(file) ? ts.ScriptKind.TSX : ts.ScriptKind.TS;
+            indexStoriesFile(ts.createSourceFile(file, text, ts.ScriptTarget.Latest, false, scriptKind), addRef);
+        }
+    }
+    return { files, index };
+}
+
+/**
+ * 用外部文档索引标注每个导出的文档来源: inline (只有 JSDoc)、external (只有外部文档)、both 或 none。
+ * MF expose 按 key 的最后一段匹配 (./components/Button → Button)；default 导出不参与匹配。
+ */
+async function applyExternalDocs(results, patterns) {
+    if (!patterns || patterns.length === 0) return;
+    const { files, index } = await indexExternalDocs(results.packagePath, patterns, results);
+    results.externalDocs = { files };
+    for (const key of BUCKETS) {
+        const bucket = results[key];
+        const documented = new Set(bucket.documentedList);
+        bucket.docSources = {};
+        bucket.external = {};
+        for (const name of bucket.list) {
+            const lookupName = key === 'mf' ? name.split('/').pop() : name;
+            const refs = lookupName === 'default' ? null : index.get(lookupName);
+            if (refs) bucket.external[name] = refs.slice(0, MAX_EXTERNAL_REFS);
+            bucket.docSources[name] = documented.has(name)
+                ? (refs ? 'both' : 'inline')
+                : (refs ? 'external' : 'none');
+        }
+        bucket.docSourceCounts = Object.fromEntries(DOC_SOURCES.map(source => [source, 0]));
+        Object.values(bucket.docSources).forEach(source => bucket.docSourceCounts[source]++);
+    }
+}
+
+// -----------------------------------------------------------------------------
+// 核心分析器 (V12 架构重构)
+// -----------------------------------------------------------------------------
+
+// JS 导出按符号解析，缓存每个 JS 模块的导出表及其间接入队的 TS 文件
+// (按分析上下文隔离，主统计与各子路径统计共用)
+const jsModuleExportsCache = new WeakMap();
+const JS_EXTENSIONS = ['.js', '.jsx', '.mjs', '.cjs'];
+// path.extname 对 .d.ts / .d.mts / .d.cts 只返回最后一段
+const TS_EXTENSIONS = ['.ts', '.tsx', '.mts', '.cts'];
+// V12: JS/TS 文件都可以递归到 JS 或 TS 文件
+const MODULE_RESOLVE_EXTENSIONS = ['.js', '.jsx', '.mjs', '.cjs', '.ts', '.tsx', '.d.ts', '.mts', '.cts', '.d.mts', '.d.cts'];
+
+function isJsFile(filePath) {
+    return JS_EXTENSIONS.includes(path.extname(filePath));
+}
+
+function patternIdentifiers(pattern) {
+    if (!pattern) return [];
+    switch (pattern.type) {
+        case 'Identifier': return [pattern.name];
+        case 'ObjectPattern': return pattern.properties.flatMap(prop => patternIdentifiers(prop.type === 'RestElement' ? prop.argument : prop.value));
+        case 'ArrayPattern': return pattern.elements.flatMap(patternIdentifiers);
+        case 'AssignmentPattern': return patternIdentifiers(pattern.left);
+        case 'RestElement': return patternIdentifiers(pattern.argument);
+        default: return [];
+    }
+}
+
+/**
+ * 收集模块顶层的本地声明与 import 绑定。
+ * 本地声明记录 { commentNode, declNode }：commentNode 是挂 JSDoc 的语句 (被 export 包裹时是 export 语句)。
+ */
+function collectJsBindings(ast) {
+    const locals = new Map();
+    const imports = new Map();
+    const addDeclaration = (declaration, commentNode) => {
+        if (!declaration) return;
+        if (declaration.type === 'VariableDeclaration') {
+            declaration.declarations.forEach(declarator => {
+                patternIdentifiers(declarator.id).forEach(name => {
+                    locals.set(name, { commentNode, declNode: declarator.id.type === 'Identifier' ? declarator : null });
                 });
+            });
+        } else if (declaration.id?.name) {
+            locals.set(declaration.id.name, { commentNode, declNode: declaration });
+        }
+    };
+    for (const statement of ast.program.body) {
+        if (statement.type === 'ImportDeclaration') {
+            statement.specifiers.forEach(spec => {
+                const imported = spec.type === 'ImportDefaultSpecifier' ? 'default'
+                    : spec.type === 'ImportNamespaceSpecifier' ? '*'
+                    : (spec.imported.name || spec.imported.value);
+                imports.set(spec.local.name, { source: statement.source.value, imported, commentNode: statement });
+            });
+        } else if (statement.type === 'ExportNamedDeclaration' || statement.type === 'ExportDefaultDeclaration') {
+            addDeclaration(statement.declaration, statement);
+        } else {
+            addDeclaration(statement, statement);
+        }
+    }
+    return { locals, imports };
+}
+
+// `require('x')`，以及 `__importDefault(require('x'))` 这类 interop 包装
+function requireSource(node) {
+    if (node?.type !== 'CallExpression') return null;
+    if (node.callee.type === 'Identifier' && node.callee.name === 'require') {
+        return node.arguments[0]?.type === 'StringLiteral' ? node.arguments[0].value : null;
+    }
+    return node.arguments.length === 1 ? requireSource(node.arguments[0]) : null;
+}
+
+function memberPropertyName(node) {
+    if (node.type !== 'MemberExpression') return null;
+    if (!node.computed && node.property.type === 'Identifier') return node.property.name;
+    return node.property.type === 'StringLiteral' ? node.property.value : null;
+}
+
+function isModuleExports(node) {
+    return node?.type === 'MemberExpression' && node.object.type === 'Identifier' && node.object.name === 'module'
+        && memberPropertyName(node) === 'exports';
+}
+
+function isExportsObject(node) {
+    return (node?.type === 'Identifier' && node.name === 'exports') || isModuleExports(node);
+}
+
+function calleeName(callee) {
+    if (callee.type === 'Identifier') return callee.name;
+    return memberPropertyName(callee);
+}
+
+/**
+ * 通过 Babel 作用域把 CJS 导出的值追溯到声明或 require 来源 (同步)。
+ * 返回 { local: { commentNode, declNode } } 或 { module: { source, imported } }。
+ */
+function describeCommonJsValue(valueNode, scopePath, commentNode, imports, seen = new Set()) {
+    const source = requireSource(valueNode);
+    if (source) return { module: { source, imported: '*' } };
+
+    if (valueNode.type === 'MemberExpression' && valueNode.object.type === 'Identifier') {
+        const objectBinding = scopePath.scope.getBinding(valueNode.object.name);
+        const objectSource = objectBinding?.path.isVariableDeclarator() && requireSource(objectBinding.path.node.init);
+        const property = memberPropertyName(valueNode);
+        if (objectSource && property) return { module: { source: objectSource, imported: property } };
+    }
+
+    if (valueNode.type === 'Identifier' && !seen.has(valueNode.name)) {
+        seen.add(valueNode.name);
+        const binding = scopePath.scope.getBinding(valueNode.name);
+        if (binding?.kind === 'module' && imports.has(valueNode.name)) {
+            const imported = imports.get(valueNode.name);
+            return { module: { source: imported.source, imported: imported.imported } };
+        }
+        const bindingPath = binding?.path;
+        if (bindingPath?.isVariableDeclarator()) {
+            const { id, init } = bindingPath.node;
+            const declSource = requireSource(init);
+            if (declSource) {
+                // `const { a: b } = require('./x')`
+                const property = id.type === 'ObjectPattern'
+                    ? id.properties.find(prop => prop.value?.type === 'Identifier' && prop.value.name === valueNode.name)
+                    : null;
+                const imported = property ? (property.key.name || property.key.value) : '*';
+                return { module: { source: declSource, imported } };
             }
-        },
-        ExportAllDeclaration: (path) => { 
-            if (path.node.source) {
-                const relativePath = path.node.source.value;
-                if (relativePath.startsWith('.')) {
-                    relativePathsToResolve.push(relativePath); 
-                } else {
-                    results.reExports.add(relativePath);
+            const statement = bindingPath.parentPath.node;
+            if (init?.type === 'Identifier' && !hasValidJSDocBabel(statement)) {
+                return describeCommonJsValue(init, bindingPath, commentNode, imports, seen);
+            }
+            return { local: { commentNode: statement, declNode: id.type === 'Identifier' ? bindingPath.node : null } };
+        }
+        if (bindingPath?.isFunctionDeclaration() || bindingPath?.isClassDeclaration()) {
+            return { local: { commentNode: bindingPath.node, declNode: bindingPath.node } };
+        }
+        return { local: { commentNode, declNode: null } };
+    }
+
+    const isDeclaration = /^(FunctionExpression|ArrowFunctionExpression|ClassExpression|ObjectMethod)$/.test(valueNode.type);
+    return { local: { commentNode, declNode: isDeclaration ? valueNode : null } };
+}
+
+/**
+ * 识别 CommonJS / UMD 导出:
+ * `module.exports = {...}` / `= require()` / `= foo`，`exports.foo = ...`，
+ * `Object.defineProperty(exports, 'foo', ...)`，`__exportStar(require('./x'), exports)`。
+ * 返回按出现顺序排列的记录: { name, local | module, commentNode } / { star } / { all }。
+ */
+function collectCommonJsExports(ast, imports) {
+    const records = [];
+    const traverse = babelTraverse.default;
+    const unwrapAssignment = (node) => (node.type === 'AssignmentExpression' ? unwrapAssignment(node.right) : node);
+    const isVoidZero = (node) => node.type === 'UnaryExpression' && node.operator === 'void';
+    const addNamed = (name, valueNode, scopePath, commentNode) => {
+        if (!name || name === '__esModule' || isVoidZero(valueNode)) return;
+        records.push({ name, commentNode, ...describeCommonJsValue(valueNode, scopePath, commentNode, imports) });
+    };
+
+    traverse(ast, {
+        AssignmentExpression(path) {
+            const { left } = path.node;
+            const right = unwrapAssignment(path.node.right);
+            const statement = path.getStatementParent()?.node;
+            if (isModuleExports(left)) {
+                const source = requireSource(right);
+                if (source) {
+                    records.push({ all: source });
+                } else if (right.type === 'ObjectExpression') {
+                    for (const prop of right.properties) {
+                        if (prop.type === 'SpreadElement') {
+                            const spreadSource = requireSource(prop.argument);
+                            if (spreadSource) records.push({ star: spreadSource });
+                            continue;
+                        }
+                        const name = prop.key.name || prop.key.value;
+                        const commentNode = prop.leadingComments?.length ? prop : statement;
+                        if (prop.type === 'ObjectMethod') {
+                            records.push({ name, commentNode, local: { commentNode, declNode: prop } });
+                        } else {
+                            addNamed(name, prop.value, path, commentNode);
+                        }
+                    }
+                } else if (!isVoidZero(right)) {
+                    addNamed('default', right, path, statement);
                 }
+            } else if (left.type === 'MemberExpression' && isExportsObject(left.object)) {
+                addNamed(memberPropertyName(left), right, path, statement);
             }
         },
-        ExportDefaultDeclaration(path) {
-            const apiName = 'default';
-            results.js.list.push(apiName);
-            if (!hasValidJSDocBabel(path.node)) { results.js.undocumentedList.push(apiName); }
-            else { results.js.documentedList.push(apiName); }
+        CallExpression(path) {
+            const { callee, arguments: args } = path.node;
+            const name = calleeName(callee);
+            const statement = path.getStatementParent()?.node;
+            if (name === 'defineProperty' && callee.type === 'MemberExpression' && callee.object.name === 'Object'
+                && isExportsObject(args[0]) && args[1]?.type === 'StringLiteral' && args[2]?.type === 'ObjectExpression') {
+                for (const prop of args[2].properties) {
+                    const key = prop.key?.name || prop.key?.value;
+                    if (key === 'value' && prop.type === 'ObjectProperty') {
+                        addNamed(args[1].value, prop.value, path, statement);
+                    } else if (key === 'get') {
+                        const getter = prop.type === 'ObjectMethod' ? prop : prop.value;
+                        const body = getter.body?.type === 'BlockStatement' ? getter.body.body : [{ type: 'ReturnStatement', argument: getter.body }];
+                        const returned = body.find(node => node.type === 'ReturnStatement')?.argument;
+                        if (returned) addNamed(args[1].value, returned, path, statement);
+                    }
+                }
+            } else if (['__exportStar', '__export', '_exportStar'].includes(name)) {
+                const source = requireSource(args[0]);
+                if (source) records.push({ star: source });
+            }
         },
     });
+    return records;
+}
+
+/**
+ * 解析一个 JS 模块的导出表: Map<导出名, { commentNode, declNode, file } | { external } | { tsModule, importedName }>。
+ * 相对路径的 JS 模块按符号递归；指向 TS 文件的具名导出记为 tsModule，由 parseJsFile 从该文件的 TS 记录中按名取出，
+ * `export *` 则把整个 TS 文件交给统一队列，由 parseTsFile 处理。
+ */
+async function getJsModuleExports(filePath, results, newFilesToAnalyze, visiting = new Set()) {
+    const cacheOwner = analysisContexts.get(results) || results;
+    if (!jsModuleExportsCache.has(cacheOwner)) jsModuleExportsCache.set(cacheOwner, new Map());
+    const cache = jsModuleExportsCache.get(cacheOwner);
+    if (cache.has(filePath)) {
+        const cached = cache.get(filePath);
+        cached.queuedFiles.forEach(file => newFilesToAnalyze.add(file));
+        return cached.moduleExports;
+    }
+    const moduleExports = new Map();
+    // 本模块及其依赖的 JS 模块交给统一队列的 TS 文件，命中缓存时重新入队
+    const queuedFiles = new Set();
+    // 循环引用时返回空表，避免死循环
+    if (visiting.has(filePath)) return moduleExports;
+    visiting.add(filePath);
+
+    const code = await safeReadFile(filePath);
+    if (!code) {
+        results.errors.push(t('analyze.jsReadFailed', { file: filePath }));
+        cache.set(filePath, { moduleExports, queuedFiles });
+        return moduleExports;
+    }
+
+    let ast;
+    try {
+        ast = babelParse(code, {
+            // CJS / UMD 产物按 script 解析
+            sourceType: 'unambiguous',
+            allowReturnOutsideFunction: true,
+            plugins: ['jsx', 'exportDefaultFrom'], // V12: 移除 'typescript' 插件
+        });
+    } catch (e) {
+        results.errors.push(t('analyze.parseFailed', { file: filePath, message: e.message }));
+        cache.set(filePath, { moduleExports, queuedFiles });
+        return moduleExports;
+    }
 
-    // 阶段 2: 异步解析
     const baseDir = path.dirname(filePath);
-    // V12: JS 文件只能递归到 JS 或 TS 文件
-    const extensions = ['.js', '.mjs', '.cjs', '.ts', '.tsx', '.d.ts']; 
-    for (const relativePath of relativePathsToResolve) {
-        const newFile = await resolveModulePath(baseDir, relativePath, extensions); 
-        if (newFile) newFilesToAnalyze.add(newFile);
+    const { locals, imports } = collectJsBindings(ast);
+
+    // 解析模块说明符: 相对/别名 JS 文件返回其导出表；TS 文件返回 tsModule (wholeModule 时整个入队)；包名返回 external
+    const loadModule = async (specifier, { wholeModule = true } = {}) => {
+        const aliasPath = specifier.startsWith('.') ? null : resolveAliasPath(specifier, filePath, results);
+        if (!specifier.startsWith('.') && !aliasPath) {
+            results.reExports.add(specifier);
+            return { external: specifier };
+        }
+        const resolved = aliasPath || await resolveModulePath(baseDir, specifier, MODULE_RESOLVE_EXTENSIONS);
+        if (!resolved) {
+            results.errors.push(t('analyze.unresolved', { specifier, file: filePath }));
+            return null;
+        }
+        if (!isJsFile(resolved)) {
+            if (wholeModule) queuedFiles.add(resolved);
+            return { tsModule: resolved };
+        }
+        return { exports: await getJsModuleExports(resolved, results, queuedFiles, visiting) };
+    };
+
+    const lookupExport = async (specifier, importedName, commentNode) => {
+        const target = await loadModule(specifier, { wholeModule: false });
+        if (!target) return null;
+        if (target.external) return { external: target.external };
+        if (importedName === '*') return { commentNode, declNode: null, file: filePath };
+        if (target.tsModule) return { tsModule: target.tsModule, importedName, file: filePath };
+        return target.exports.get(importedName) || null;
+    };
+
+    // 本地绑定 → 原始声明 (跟随 import 与 `const a = b` 别名)
+    const resolveLocal = async (name, seen = new Set()) => {
+        if (seen.has(name)) return null;
+        seen.add(name);
+        const local = locals.get(name);
+        if (local) {
+            const init = local.declNode?.type === 'VariableDeclarator' ? local.declNode.init : null;
+            if (init?.type === 'Identifier' && !hasValidJSDocBabel(local.commentNode)) {
+                const aliased = await resolveLocal(init.name, seen);
+                if (aliased) return aliased;
+            }
+            return { ...local, file: filePath };
+        }
+        const imported = imports.get(name);
+        if (imported) return lookupExport(imported.source, imported.imported, imported.commentNode);
+        return null;
+    };
+
+    // export 语句上有 JSDoc 而声明上没有时，以 export 语句为准
+    const withExportSiteDocs = (info, exportStatement) => {
+        if (!info || info.external || hasValidJSDocBabel(info.commentNode) || !hasValidJSDocBabel(exportStatement)) return info;
+        return { ...info, commentNode: exportStatement };
+    };
+
+    for (const statement of ast.program.body) {
+        if (statement.type === 'ExportNamedDeclaration') {
+            if (statement.declaration) {
+                const declaration = statement.declaration;
+                const names = declaration.type === 'VariableDeclaration'
+                    ? declaration.declarations.flatMap(declarator => patternIdentifiers(declarator.id))
+                    : [declaration.id?.name || 'unknown'];
+                names.forEach(name => moduleExports.set(name, { ...(locals.get(name) || { commentNode: statement, declNode: null }), file: filePath }));
+                continue;
+            }
+            for (const spec of statement.specifiers) {
+                const exportedName = spec.exported.name || spec.exported.value;
+                let info;
+                if (statement.source) {
+                    const importedName = spec.type === 'ExportNamespaceSpecifier' ? '*'
+                        : spec.type === 'ExportDefaultSpecifier' ? 'default'
+                        : (spec.local.name || spec.local.value);
+                    info = await lookupExport(statement.source.value, importedName, statement);
+                    if (!info) continue;
+                } else {
+                    info = await resolveLocal(spec.local.name);
+                }
+                moduleExports.set(exportedName, withExportSiteDocs(info, statement) || { commentNode: statement, declNode: null, file: filePath });
+            }
+        } else if (statement.type === 'ExportAllDeclaration') {
+            const target = await loadModule(statement.source.value);
+            // 指向 TS 文件时整个文件已入队，由 parseTsFile 统计
+            if (!target || target.external || target.tsModule) continue;
+            for (const [name, info] of target.exports) {
+                // `export *` 不包含 default，且本模块的显式导出优先
+                if (name === 'default' || moduleExports.has(name)) continue;
+                moduleExports.set(name, info);
+            }
+        } else if (statement.type === 'ExportDefaultDeclaration') {
+            const declaration = statement.declaration;
+            const info = declaration.type === 'Identifier'
+                ? withExportSiteDocs(await resolveLocal(declaration.name), statement)
+                : { commentNode: statement, declNode: declaration, file: filePath };
+            moduleExports.set('default', info || { commentNode: statement, declNode: null, file: filePath });
+        }
+    }
+
+    // 没有 ESM 导出时按 CommonJS / UMD 处理
+    if (moduleExports.size === 0) {
+        for (const record of collectCommonJsExports(ast, imports)) {
+            if (record.star || record.all) {
+                const target = await loadModule(record.star || record.all);
+                if (!target || target.external || target.tsModule) continue;
+                for (const [name, info] of target.exports) {
+                    if ((record.star && name === 'default') || moduleExports.has(name)) continue;
+                    moduleExports.set(name, info);
+                }
+            } else if (record.module) {
+                const info = await lookupExport(record.module.source, record.module.imported, record.commentNode);
+                if (!info) continue;
+                moduleExports.set(record.name, withExportSiteDocs(info, record.commentNode) || { commentNode: record.commentNode, declNode: null, file: filePath });
+            } else {
+                moduleExports.set(record.name, { ...record.local, file: filePath });
+            }
+        }
+    }
+
+    visiting.delete(filePath);
+    cache.set(filePath, { moduleExports, queuedFiles });
+    queuedFiles.forEach(file => newFilesToAnalyze.add(file));
+    return moduleExports;
+}
+
+/**
+ * 1. 分析 JS 文件 (仅限 .js, .mjs, .cjs)
+ */
+async function parseJsFile(filePath, results) {
+    const newFilesToAnalyze = new Set();
+    const moduleExports = await getJsModuleExports(filePath, results, newFilesToAnalyze);
+    const moduleDocs = [];
+    const sourceTexts = new Map();
+
+    for (const [apiName, info] of moduleExports) {
+        if (info.tsModule) {
+            // 从 TS 文件具名 re-export: 只统计被导出的这一个名字，而不是整个 TS 文件
+            const record = await loadTsFileRecord(info.tsModule, results);
+            const entry = record.exports.find(item => item.apiName === info.importedName);
+            if (!entry) {
+                results.errors.push(t('analyze.notExportedByTs', { name: info.importedName, module: info.tsModule, file: filePath }));
+                continue;
+            }
+            const hasDocs = entry.hasDocs || hasValidJSDocBabel(info.commentNode);
+            applyTsFileRecord({ exports: [{ ...entry, apiName, hasDocs }], newFiles: [], errors: record.errors }, results);
+            if (!exclusionReason(results, apiName, entry.declarationFile, entry.tags.map(tag => tag.name))) {
+                moduleDocs.push({ apiName, documented: hasDocs, quality: entry.quality, typeOnly: !entry.isValue });
+            }
+            continue;
+        }
+        const tags = info.external ? [] : babelJSDocTags(info.commentNode);
+        const reason = exclusionReason(results, apiName, info.file || filePath, tags.map(tag => tag.name));
+        if (reason) {
+            recordExclusion(results, 'js', apiName, reason);
+            continue;
+        }
+        results.js.list.push(apiName);
+        if (info.external) {
+            results.reExportedApis.add(apiName);
+            results.js.undocumentedList.push(apiName);
+            recordQuality(results.js, apiName, { level: 'missing', issues: [] });
+            recordSource(results.js, apiName, filePath, results.packagePath);
+            moduleDocs.push({ apiName, documented: false, quality: { level: 'missing', issues: [] } });
+            continue;
+        }
+        const documented = hasValidJSDocBabel(info.commentNode);
+        if (!documented) { results.js.undocumentedList.push(apiName); }
+        else { results.js.documentedList.push(apiName); }
+        const quality = gradeBabelDeclaration(info.commentNode, info.declNode);
+        recordQuality(results.js, apiName, quality);
+        moduleDocs.push({ apiName, documented, quality });
+        recordSource(results.js, apiName, info.file, results.packagePath, babelNodePosition(info.declNode || info.commentNode));
+        recordLifecycle(results.js, apiName, describeLifecycle(tags));
+        recordSignature(results, apiName, describeBabelExport(info.declNode));
+        if (results.components && (apiName === 'default' || isComponentName(apiName))) {
+            // 默认值按源码原样记录
+            if (!sourceTexts.has(info.file)) sourceTexts.set(info.file, await safeReadFile(info.file));
+            recordComponent(results, 'js', apiName, describeBabelComponent(apiName, info, sourceTexts.get(info.file)), info.file);
+        }
+    }
+    recordModuleDocs(results, filePath, moduleDocs);
+
+    return newFilesToAnalyze;
+}
+
+/**
+ * 2. 分析 TS 文件 (.ts, .tsx, .mts, .cts, .d.ts, .d.mts, .d.cts)
+ */
+async function parseTsFile(filePath, results) {
+    if (!filePath || !(await fs.pathExists(filePath))) {
+        results.errors.push(t('analyze.tsEntryMissing', { file: filePath }));
+        return new Set();
+    }
+
+    const record = await loadTsFileRecord(filePath, results);
+    applyTsFileRecord(record, results);
+    recordModuleDocs(results, filePath, record.exports
+        .filter(entry => !exclusionReason(results, entry.apiName, entry.declarationFile, entry.tags.map(tag => tag.name)))
+        .map(({ apiName, hasDocs, quality, isValue }) => ({ apiName, documented: hasDocs, quality, typeOnly: !isValue })));
+    return new Set(record.newFiles);
+}
+
+/**
+ * 取 TS 文件的记录。本次分析内 (主统计、各子路径、JS 的具名 re-export) 复用同一份记录；
+ * 跨次运行的结果缓存以文件及其包内依赖的内容哈希为 key。
+ */
+async function loadTsFileRecord(filePath, results) {
+    const context = getAnalysisContext(results);
+    let record = context.tsFileRecords?.get(filePath);
+    if (record) return record;
+    const cacheKey = context.cache ? tsFileCacheKey(filePath, results) : null;
+    record = cacheKey ? readCachedRecord(context.cache, filePath, cacheKey) : null;
+    if (!record) {
+        record = await collectTsFileRecord(filePath, results);
+        if (cacheKey) writeCachedRecord(context.cache, filePath, cacheKey, record);
+    }
+    context.tsFileRecords?.set(filePath, record);
+    return record;
+}
+
+/**
+ * 用共享的 TS program 分析单个文件，返回可缓存的纯数据记录。
+ */
+async function collectTsFileRecord(filePath, results) {
+    const record = { exports: [], newFiles: [], errors: [] };
+    const relativePathsToResolve = [];
+    const packageRoot = results.packagePath ? path.resolve(results.packagePath) : null;
+    
+    let program;
+    try {
+        program = getSharedProgram(filePath, results);
+    } catch (e) {
+        record.errors.push({ key: 'analyze.tsProgramFailed', params: { message: e.message } });
+        return record;
     }
+    
+    const sourceFile = program.getSourceFile(filePath);
+    if (!sourceFile) {
+        record.errors.push({ key: 'analyze.tsSourceFileMissing', params: { file: filePath } });
+        return record;
+    }
+
+    // 阶段 1: 同步收集 (用于递归)
+    ts.forEachChild(sourceFile, (node) => {
+        if (ts.isExportDeclaration(node) && node.moduleSpecifier) {
+            const relativePath = node.moduleSpecifier.text;
+            // 相对路径，或 tsconfig paths 别名 (阶段 2 中解析失败的包名会被忽略)
+            if (relativePath.startsWith('.') || resolveAliasPath(relativePath, filePath, results)) {
+                const exportClause = node.exportClause ?? null;
+                const isExportAll = !exportClause;
+                if (isExportAll) {
+                    relativePathsToResolve.push(relativePath);
+                }
+            }
+        }
+    });
+
+    const checker = program.getTypeChecker();
+    const moduleSymbol = checker.getSymbolAtLocation(sourceFile);
+    if (moduleSymbol) {
+        const exports = checker.getExportsOfModule(moduleSymbol);
+        
+        // --- 变更 (V12): 关键的区分逻辑 ---
+        exports.forEach(symbol => {
+            const apiName = symbol.name;
+
+            const targetSymbol = (symbol.flags & ts.SymbolFlags.Alias)
+                ? checker.getAliasedSymbol(symbol) || symbol
+                : symbol;
+
+            const isInternalSymbol = symbolBelongsToPackage(targetSymbol, packageRoot);
+            const typeOnlyExport = isTypeOnlyExportSymbol(symbol);
+
+            const comments = targetSymbol.getDocumentationComment(checker);
+            const declarationFile = isInternalSymbol
+                ? (targetSymbol.declarations?.[0]?.getSourceFile().fileName || filePath)
+                : filePath;
+            // 第三方再导出指向本文件中的 export 语句
+            const declaration = isInternalSymbol
+                ? targetSymbol.declarations?.[0]
+                : symbol.declarations?.find(node => node.getSourceFile() === sourceFile);
+            
+            // 检查它是什么类型的导出
+            const isValue = !typeOnlyExport && Boolean(targetSymbol.flags & ts.SymbolFlags.Value); // Class, Function, Var
+            const isType = typeOnlyExport || Boolean(targetSymbol.flags & ts.SymbolFlags.Type);  // Interface, Type Alias
+
+            record.exports.push({
+                apiName,
+                reExported: !isInternalSymbol,
+                isValue,
+                isType,
+                hasDocs: hasValidJSDoc(comments),
+                quality: gradeTsSymbol(targetSymbol, checker),
+                declarationFile,
+                declarationPosition: tsDeclarationPosition(declaration),
+                tags: targetSymbol.getJsDocTags(checker).map(tag => ({ name: tag.name, text: ts.displayPartsToString(tag.text) })),
+                members: (results.members && isInternalSymbol) ? collectPublicMembers(targetSymbol, checker) : null,
+                signature: (results.signatures && isInternalSymbol) ? describeApiSignature(targetSymbol, checker) : null,
+                component: (isInternalSymbol && !typeOnlyExport) ? describeReactComponent(targetSymbol, checker, packageRoot) : null,
+            });
+            // --- 变更结束 ---
+        });
+    } else {
+        record.errors.push({ key: 'analyze.moduleSymbolMissing', params: { file: filePath } });
+    }
+
+    // 阶段 2: 异步解析
+    const baseDir = path.dirname(filePath);
+    for (const relativePath of relativePathsToResolve) {
+        const newFile = relativePath.startsWith('.')
+            ? await resolveModulePath(baseDir, relativePath, MODULE_RESOLVE_EXTENSIONS)
+            : resolveAliasPath(relativePath, filePath, results);
+        if (newFile) record.newFiles.push(newFile);
+    }
+    
+    return record;
+}
+
+function applyTsFileRecord(record, results) {
+    const packageRoot = results.packagePath ? path.resolve(results.packagePath) : null;
+    // 记录会写入缓存，错误存为 MESSAGES 的 key 和参数，应用时按当前语言翻译
+    results.errors.push(...record.errors.map(({ key, params }) => t(key, params)));
+    for (const { apiName, reExported, isValue, isType, hasDocs, quality, declarationFile, declarationPosition, tags, members, signature, component } of record.exports) {
+        const reason = exclusionReason(results, apiName, declarationFile, tags.map(tag => tag.name));
+        if (reason) {
+            if (isValue) recordExclusion(results, 'js', apiName, reason);
+            if (isType) recordExclusion(results, 'ts', apiName, reason);
+            continue;
+        }
+        if (reExported) {
+            results.reExportedApis.add(apiName);
+        }
+        const lifecycle = describeLifecycle(tags);
+        if (isValue) {
+            results.js.list.push(apiName);
+            if (!hasDocs) results.js.undocumentedList.push(apiName);
+            else results.js.documentedList.push(apiName);
+            recordQuality(results.js, apiName, quality);
+            recordSource(results.js, apiName, declarationFile, packageRoot, declarationPosition);
+            recordLifecycle(results.js, apiName, lifecycle);
+        }
+        
+        if (isType) {
+            results.ts.list.push(apiName);
+            if (!hasDocs) results.ts.undocumentedList.push(apiName);
+            else results.ts.documentedList.push(apiName);
+            recordQuality(results.ts, apiName, quality);
+            recordSource(results.ts, apiName, declarationFile, packageRoot, declarationPosition);
+            recordLifecycle(results.ts, apiName, lifecycle);
+        }
+
+        if (members && results.members) {
+            recordMembers(results, isValue ? 'js' : 'ts', apiName, members);
+        }
+        recordSignature(results, apiName, signature);
+        recordComponent(results, 'js', apiName, component, declarationFile);
+    }
+}
+
+
+// 记录一个模块的导出及其文档情况，供 MF expose 使用模块自身的文档
+function recordModuleDocs(results, filePath, exports) {
+    getAnalysisContext(results).moduleDocs?.set(filePath, exports);
+}
+
+// 登记 MF expose；是否有文档要等模块分析完后由 documentMfExposes 决定
+function registerMfExpose(results, apiName, absolutePath) {
+    results.mf.list.push(apiName);
+    getAnalysisContext(results).mfExposes?.set(apiName, absolutePath);
+    if (absolutePath) recordSource(results.mf, apiName, absolutePath, results.packagePath);
+}
+
+const MODULE_OVERVIEW_TAGS = /@(module|packageDocumentation|file|fileoverview|overview)\b/;
+
+// 文件开头 (可有 shebang 和 'use client' 之类的指令) 带 @module / @packageDocumentation / @file 的 JSDoc
+function hasModuleOverview(code) {
+    const match = code?.match(/^(?:#!.*\n)?(?:\s*(['"])use \w+\1;?)*\s*\/\*\*([\s\S]*?)\*\//);
+    return Boolean(match && MODULE_OVERVIEW_TAGS.test(match[2]));
+}
+
+/**
+ * 按被 expose 的模块自身的文档决定 MF 导出是否有文档: 有模块级说明 (@module 等) 即视为有文档；
+ * 否则看模块的 default 导出 (通常是组件)；没有 default 时要求所有具名导出都有文档 (有值导出时不看纯类型导出，例如组件的 Props)。
+ */
+async function documentMfExposes(results) {
+    const { mfExposes, moduleDocs } = getAnalysisContext(results);
+    for (const [apiName, filePath] of mfExposes) {
+        const exports = filePath ? moduleDocs.get(filePath) : null;
+        let documented = false;
+        let quality = { level: 'missing', issues: [] };
+        if (exports && hasModuleOverview(await safeReadFile(filePath))) {
+            documented = true;
+            quality = { level: 'complete', issues: [] };
+        } else if (exports) {
+            const defaultExport = exports.find(entry => entry.apiName === 'default');
+            if (defaultExport) {
+                ({ documented, quality } = defaultExport);
+            } else if (exports.length > 0) {
+                const candidates = exports.some(entry => !entry.typeOnly) ? exports.filter(entry => !entry.typeOnly) : exports;
+                const undocumented = candidates.filter(entry => !entry.documented).map(entry => entry.apiName);
+                documented = undocumented.length === 0;
+                quality = {
+                    level: documented ? 'complete' : (undocumented.length < candidates.length ? 'partial' : 'missing'),
+                    issues: undocumented.map(name => `undocumented-export:${name}`),
+                };
+            }
+        }
+        (documented ? results.mf.documentedList : results.mf.undocumentedList).push(apiName);
+        recordQuality(results.mf, apiName, quality);
+    }
+}
+
+// -----------------------------------------------------------------------------
+// Module Federation 配置发现与 exposes 静态求值
+// -----------------------------------------------------------------------------
+
+// webpack / rspack 的 ModuleFederationPlugin、Vite 的 federation()、Next.js 的 withModuleFederation、rsbuild 的插件与配置函数
+const MF_PLUGIN_CALLEE = /(^|\.)(ModuleFederationPlugin|federation|withModuleFederation|createModuleFederationConfig|pluginModuleFederation)$/;
+// 原样返回参数的配置辅助函数
+const CONFIG_IDENTITY_CALLEE = /^(define\w*Config|createModuleFederationConfig)$/;
+const CONFIG_MODULE_EXTENSIONS = ['.js', '.mjs', '.cjs', '.ts', '.mts', '.cts', '.json'];
+const UNKNOWN_VALUE = Symbol('unknown');
+const MAX_EVALUATION_DEPTH = 20;
+
+function parseConfigSource(code, filePath) {
+    const plugins = /\.[mc]?tsx?$/.test(filePath) ? ['typescript'] : [];
+    try {
+        return babelParse(code, { sourceType: 'module', plugins });
+    } catch (e) {
+        return babelParse(code, { sourceType: 'script', plugins });
+    }
+}
+
+function programPathOf(ast) {
+    let programPath = null;
+    babelTraverse.default(ast, {
+        Program(path) {
+            programPath = path;
+            path.stop();
+        },
+    });
+    return programPath;
+}
+
+// a.b.C → 'a.b.C'；无法表示时返回 null
+function calleeText(node) {
+    if (node.type === 'Identifier') return node.name;
+    if (node.type === 'MemberExpression' && !node.computed) {
+        const object = calleeText(node.object);
+        return object && `${object}.${node.property.name}`;
+    }
+    if (node.type === 'CallExpression' && node.callee.type === 'Identifier' && node.callee.name === 'require' && node.arguments[0]?.type === 'StringLiteral') {
+        return `require('${node.arguments[0].value}')`;
+    }
+    return null;
+}
+
+function isPlainObject(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+// 相对路径的 import / require 目标 (包名不展开)
+async function resolveConfigModule(fromFile, specifier) {
+    if (!specifier.startsWith('.')) return null;
+    return resolveModulePath(path.dirname(fromFile), specifier, CONFIG_MODULE_EXTENSIONS);
+}
+
+/**
+ * 静态求值一个配置模块的导出: { 导出名: 值, default }，CJS 的 module.exports 也会展开成具名导出。
+ */
+async function evaluateConfigModule(filePath, state) {
+    if (state.modules.has(filePath)) return state.modules.get(filePath);
+    // 先占位，循环引用时得到空对象
+    const moduleExports = {};
+    state.modules.set(filePath, moduleExports);
+    if (filePath.endsWith('.json')) {
+        Object.assign(moduleExports, await fs.readJson(filePath).catch(() => ({})));
+        moduleExports.default = { ...moduleExports };
+        return moduleExports;
+    }
+    const code = await safeReadFile(filePath);
+    if (!code) return moduleExports;
+    let programPath;
+    try {
+        programPath = programPathOf(parseConfigSource(code, filePath));
+    } catch (e) {
+        return moduleExports;
+    }
+    const moduleState = { ...state, filePath };
+    for (const statement of programPath.get('body')) {
+        if (statement.isExportNamedDeclaration()) {
+            const declaration = statement.get('declaration');
+            if (declaration.isVariableDeclaration()) {
+                for (const declarator of declaration.get('declarations')) {
+                    if (declarator.node.id.type === 'Identifier') {
+                        moduleExports[declarator.node.id.name] = await evaluateStatic(declarator.get('init'), moduleState);
+                    }
+                }
+            }
+            for (const specifier of statement.get('specifiers')) {
+                if (!specifier.isExportSpecifier() || statement.node.source) continue;
+                const exportedName = specifier.node.exported.name ?? specifier.node.exported.value;
+                moduleExports[exportedName] = await evaluateStatic(specifier.get('local'), moduleState);
+            }
+        } else if (statement.isExportDefaultDeclaration()) {
+            moduleExports.default = await evaluateStatic(statement.get('declaration'), moduleState);
+        } else if (statement.isExpressionStatement() && statement.get('expression').isAssignmentExpression()) {
+            const assignment = statement.get('expression');
+            const target = calleeText(assignment.node.left);
+            if (target === 'module.exports') {
+                const value = await evaluateStatic(assignment.get('right'), moduleState);
+                moduleExports.default = value;
+                if (isPlainObject(value)) Object.assign(moduleExports, value);
+            } else if (target && /^(module\.)?exports\.\w+$/.test(target)) {
+                moduleExports[target.split('.').pop()] = await evaluateStatic(assignment.get('right'), moduleState);
+            }
+        }
+    }
+    return moduleExports;
+}
+
+async function evaluateBinding(bindingPath, name, state) {
+    if (bindingPath.isVariableDeclarator()) {
+        const { id } = bindingPath.node;
+        const value = await evaluateStatic(bindingPath.get('init'), state);
+        if (id.type === 'Identifier') return value;
+        // const { exposes } = require('./mf')
+        if (id.type === 'ObjectPattern' && isPlainObject(value)) {
+            const property = id.properties.find(prop => prop.type === 'ObjectProperty' && prop.value.type === 'Identifier' && prop.value.name === name);
+            const key = property && (property.key.name ?? property.key.value);
+            return key !== undefined && key in value ? value[key] : UNKNOWN_VALUE;
+        }
+        return UNKNOWN_VALUE;
+    }
+    if (bindingPath.isImportSpecifier() || bindingPath.isImportDefaultSpecifier() || bindingPath.isImportNamespaceSpecifier()) {
+        const target = await resolveConfigModule(state.filePath, bindingPath.parent.source.value);
+        if (!target) return UNKNOWN_VALUE;
+        const moduleExports = await evaluateConfigModule(target, state);
+        if (bindingPath.isImportNamespaceSpecifier()) return moduleExports;
+        const importedName = bindingPath.isImportDefaultSpecifier() ? 'default' : (bindingPath.node.imported.name ?? bindingPath.node.imported.value);
+        return importedName in moduleExports ? moduleExports[importedName] : UNKNOWN_VALUE;
+    }
+    return UNKNOWN_VALUE;
+}
+
+/**
+ * 静态求值配置中的表达式: 字面量、模板字符串、对象 (含展开)、数组、const 变量和解构、
+ * 从相对路径 import / require 的常量、path.resolve / path.join (含 __dirname)。无法求值的部分为 UNKNOWN_VALUE。
+ */
+async function evaluateStatic(nodePath, state) {
+    const { node } = nodePath;
+    if (!node || state.depth > MAX_EVALUATION_DEPTH) return UNKNOWN_VALUE;
+    const nested = { ...state, depth: state.depth + 1 };
+    const evaluate = (childPath) => evaluateStatic(childPath, nested);
+    switch (node.type) {
+        case 'StringLiteral':
+        case 'NumericLiteral':
+        case 'BooleanLiteral':
+            return node.value;
+        case 'NullLiteral':
+            return null;
+        case 'TemplateLiteral': {
+            let text = node.quasis[0].value.cooked;
+            const expressions = nodePath.get('expressions');
+            for (let i = 0; i < expressions.length; i++) {
+                const value = await evaluate(expressions[i]);
+                if (value === UNKNOWN_VALUE || (value !== null && typeof value === 'object')) return UNKNOWN_VALUE;
+                text += String(value) + node.quasis[i + 1].value.cooked;
+            }
+            return text;
+        }
+        case 'BinaryExpression': {
+            if (node.operator !== '+') return UNKNOWN_VALUE;
+            const left = await evaluate(nodePath.get('left'));
+            const right = await evaluate(nodePath.get('right'));
+            const isPrimitive = (value) => typeof value === 'string' || typeof value === 'number';
+            return isPrimitive(left) && isPrimitive(right) ? left + right : UNKNOWN_VALUE;
+        }
+        case 'TSAsExpression':
+        case 'TSSatisfiesExpression':
+        case 'TSNonNullExpression':
+        case 'ParenthesizedExpression':
+            return evaluate(nodePath.get('expression'));
+        case 'ObjectExpression': {
+            const object = {};
+            for (const property of nodePath.get('properties')) {
+                if (property.isSpreadElement()) {
+                    const spread = await evaluate(property.get('argument'));
+                    if (isPlainObject(spread)) Object.assign(object, spread);
+                } else if (property.isObjectProperty()) {
+                    const key = property.node.computed
+                        ? await evaluate(property.get('key'))
+                        : (property.node.key.name ?? property.node.key.value);
+                    if (key === UNKNOWN_VALUE) continue;
+                    object[key] = await evaluate(property.get('value'));
+                }
+            }
+            return object;
+        }
+        case 'ArrayExpression': {
+            const items = [];
+            for (const element of nodePath.get('elements')) {
+                if (element.isSpreadElement()) {
+                    const spread = await evaluate(element.get('argument'));
+                    if (Array.isArray(spread)) items.push(...spread);
+                } else {
+                    items.push(await evaluate(element));
+                }
+            }
+            return items;
+        }
+        case 'Identifier': {
+            if (node.name === '__dirname') return path.dirname(state.filePath);
+            if (node.name === 'undefined') return undefined;
+            const binding = nodePath.scope.getBinding(node.name);
+            return binding ? evaluateBinding(binding.path, node.name, nested) : UNKNOWN_VALUE;
+        }
+        case 'MemberExpression': {
+            const object = await evaluate(nodePath.get('object'));
+            const key = node.computed ? await evaluate(nodePath.get('property')) : node.property.name;
+            if (object === UNKNOWN_VALUE || object === null || typeof object !== 'object' || key === UNKNOWN_VALUE) return UNKNOWN_VALUE;
+            return Object.prototype.hasOwnProperty.call(object, key) ? object[key] : UNKNOWN_VALUE;
+        }
+        case 'CallExpression': {
+            const callee = calleeText(node.callee);
+            const args = nodePath.get('arguments');
+            if (callee === 'require' && node.arguments[0]?.type === 'StringLiteral') {
+                const target = await resolveConfigModule(state.filePath, node.arguments[0].value);
+                if (!target) return UNKNOWN_VALUE;
+                const moduleExports = await evaluateConfigModule(target, nested);
+                return 'default' in moduleExports ? moduleExports.default : moduleExports;
+            }
+            if (callee === 'path.resolve' || callee === 'path.join') {
+                const parts = [];
+                for (const arg of args) {
+                    const value = await evaluate(arg);
+                    if (typeof value !== 'string') return UNKNOWN_VALUE;
+                    parts.push(value);
+                }
+                return callee === 'path.resolve' ? path.resolve(path.dirname(state.filePath), ...parts) : path.join(...parts);
+            }
+            if (callee && CONFIG_IDENTITY_CALLEE.test(callee) && args.length > 0) return evaluate(args[0]);
+            return UNKNOWN_VALUE;
+        }
+        default:
+            return UNKNOWN_VALUE;
+    }
+}
+
+// 插件名，带上它被 import / require 的包名，例如 `federation (@originjs/vite-plugin-federation)`
+function describeMfPlugin(calleePath) {
+    const text = calleeText(calleePath.node) || '(anonymous)';
+    let root = calleePath.node;
+    while (root.type === 'MemberExpression') root = root.object;
+    let source = null;
+    if (root.type === 'Identifier') {
+        const bindingPath = calleePath.scope.getBinding(root.name)?.path;
+        if (bindingPath && (bindingPath.isImportSpecifier() || bindingPath.isImportDefaultSpecifier() || bindingPath.isImportNamespaceSpecifier())) {
+            source = bindingPath.parent.source.value;
+        } else if (bindingPath?.isVariableDeclarator()) {
+            const init = bindingPath.node.init;
+            const requireCall = init?.type === 'MemberExpression' ? init.object : init;
+            if (requireCall?.type === 'CallExpression' && requireCall.callee.name === 'require' && requireCall.arguments[0]?.type === 'StringLiteral') {
+                source = requireCall.arguments[0].value;
+            }
+        }
+    } else if (root.type === 'CallExpression' && root.arguments[0]?.type === 'StringLiteral') {
+        source = root.arguments[0].value;
+    }
+    return source && !text.includes(`'${source}'`) ? `${text} (${source})` : text;
+}
+
+// 对象中多数 key 形如 './x' 时视为 exposes
+function isExposesObject(objectNode) {
+    if (!objectNode || objectNode.type !== 'ObjectExpression') return false;
+    let exposeLikeKeys = 0;
+    let totalKeys = 0;
+    for (const prop of objectNode.properties) {
+        if (prop.type !== 'ObjectProperty') continue;
+        totalKeys++;
+        const keyName = prop.key.name || prop.key.value;
+        if (typeof keyName === 'string' && keyName.startsWith('./')) exposeLikeKeys++;
+    }
+    return totalKeys > 0 && (exposeLikeKeys / totalKeys > 0.5);
+}
+
+/**
+ * 在配置 AST 中找 exposes 的来源: 优先是 MF 插件调用的第一个参数 (选项对象)，
+ * 其次是任意名为 exposes 的属性，最后是启发式找到的疑似 exposes 对象。
+ * 返回 [{ path, options, plugin }]，options 为 true 时 path 是插件选项，需要再取 .exposes。
+ */
+function findExposesCandidates(ast) {
+    const traverse = babelTraverse.default;
+    const candidates = [];
+    const visitPluginCall = (callPath) => {
+        const callee = calleeText(callPath.node.callee);
+        if (!callee || !MF_PLUGIN_CALLEE.test(callee) || callPath.node.arguments.length === 0) return;
+        candidates.push({ path: callPath.get('arguments.0'), options: true, plugin: describeMfPlugin(callPath.get('callee')) });
+    };
+    traverse(ast, { NewExpression: visitPluginCall, CallExpression: visitPluginCall });
+    if (candidates.length > 0) return candidates;
+
+    traverse(ast, {
+        ObjectProperty(propertyPath) {
+            const keyName = propertyPath.node.key.name || propertyPath.node.key.value;
+            if (keyName !== 'exposes') return;
+            candidates.push({ path: propertyPath.get('value'), options: false, plugin: null });
+            propertyPath.stop();
+        },
+    });
+    if (candidates.length > 0) return candidates;
+
+    traverse(ast, {
+        ObjectExpression(objectPath) {
+            if (!isExposesObject(objectPath.node)) return;
+            candidates.push({ path: objectPath, options: false, plugin: null, heuristic: true });
+            objectPath.stop();
+        },
+    });
+    return candidates;
+}
+
+// expose 的值可以是路径字符串、路径数组或 { import: ... }
+function exposeImportPath(value) {
+    if (typeof value === 'string') return value;
+    if (Array.isArray(value)) return value.find(item => typeof item === 'string') ?? null;
+    if (isPlainObject(value)) return exposeImportPath(value.import);
+    return null;
+}
+
+/**
+ * 登记一组 exposes 并把对应模块加入分析队列；origin 为 { config, plugin } (显式传入的 exposes 两者都是 null)。
+ */
+async function registerExposes(exposes, packageRoot, results, fileQueue, origin) {
+    results.mfOrigins = results.mfOrigins || {};
+    for (const [apiName, value] of Object.entries(exposes)) {
+        const importPath = exposeImportPath(value);
+        if (!results.mfOrigins[apiName]) {
+            const displayPath = importPath && path.isAbsolute(importPath) ? path.relative(packageRoot, importPath) : importPath;
+            results.mfOrigins[apiName] = { ...origin, import: displayPath };
+        }
+        if (!importPath) {
+            registerMfExpose(results, apiName, null);
+            results.warnings.push(t('mf.exposeNotEvaluable', { name: apiName, config: origin.config ? ` (${origin.config})` : '' }));
+            continue;
+        }
+        const resolvedPath = await resolveModulePath(packageRoot, importPath, MODULE_RESOLVE_EXTENSIONS);
+        if (resolvedPath) {
+            registerMfExpose(results, apiName, resolvedPath);
+            fileQueue.add(resolvedPath); // V12: 添加到统一队列
+        } else {
+            const absolutePath = path.resolve(packageRoot, importPath);
+            registerMfExpose(results, apiName, null);
+            recordSource(results.mf, apiName, absolutePath, packageRoot);
+            results.errors.push(t('mf.exposeFileMissing', { origin: origin.config || t('mf.fromJson'), request: importPath, path: absolutePath }));
+        }
+    }
+}
+
+// 显式传入的 exposes (--mf-exposes 或项目配置的 mfExposes)
+async function processExposesObjectLiteral(exposesObj, packageRoot, results, fileQueue) {
+    await registerExposes(exposesObj, packageRoot, results, fileQueue, { config: null, plugin: null });
+}
+
+async function parseMfExports(packageRoot, results, fileQueue, explicitConfigPath) {
+    const logger = getLogger(results);
+    let configFiles = [];
+    if (explicitConfigPath) {
+        if (await fs.pathExists(explicitConfigPath)) {
+            configFiles = [explicitConfigPath];
+            logger.log(t('mf.explicitConfig', { path: explicitConfigPath }));
+        } else {
+            results.errors.push(t('mf.configNotFound', { path: explicitConfigPath }));
+            return;
+        }
+    } else {
+        logger.log(t('mf.searching'));
+        const pattern = getAnalysisContext(results).projectConfig?.mfConfigGlob || DEFAULT_MF_CONFIG_GLOB;
+        configFiles = (await glob(pattern, {
+            cwd: packageRoot,
+            ignore: 'node_modules/**',
+            absolute: true,
+        })).sort();
+    }
+    if (configFiles.length === 0) {
+        if (!explicitConfigPath) { logger.log(t('mf.noConfig')); }
+        return;
+    }
+    // 同一次分析中被多个配置 import 的模块只求值一次
+    const modules = new Map();
+    for (const configPath of configFiles) {
+        const config = path.relative(packageRoot, configPath);
+        const code = await safeReadFile(configPath);
+        if (!code) {
+            results.errors.push(t('mf.configReadFailed', { path: configPath }));
+            continue;
+        }
+        let ast;
+        try {
+            ast = parseConfigSource(code, configPath);
+        } catch (e) {
+            results.errors.push(t('analyze.parseFailed', { file: configPath, message: e.message }));
+            continue;
+        }
+        const candidates = findExposesCandidates(ast);
+        if (candidates.length === 0) {
+            logger.log(t('mf.noExposes', { config }));
+            continue;
+        }
+        for (const candidate of candidates) {
+            const state = { filePath: configPath, depth: 0, modules };
+            let exposes = await evaluateStatic(candidate.path, state);
+            if (candidate.options) {
+                // 插件选项里没有 exposes (例如只消费 remotes 的 host)
+                if (!isPlainObject(exposes) || !('exposes' in exposes)) {
+                    if (exposes === UNKNOWN_VALUE) results.warnings.push(t('mf.pluginNotEvaluable', { config, plugin: candidate.plugin }));
+                    continue;
+                }
+                exposes = exposes.exposes;
+            }
+            if (!isPlainObject(exposes)) {
+                results.warnings.push(t('mf.exposesNotEvaluable', { config, plugin: candidate.plugin ? ` (${candidate.plugin})` : '' }));
+                continue;
+            }
+            logger.log(t('mf.exposesFound', { config, count: Object.keys(exposes).length, origin: candidate.plugin ? ` (${candidate.plugin})` : candidate.heuristic ? t('mf.heuristic') : '' }));
+            await registerExposes(exposes, packageRoot, results, fileQueue, { config, plugin: candidate.plugin });
+        }
+    }
+}
+
+
+// -----------------------------------------------------------------------------
+// 入口点: package.json 的 main/module/types/exports/typesVersions
+// -----------------------------------------------------------------------------
+
+const TYPES_FILE_PATTERN = /\.d\.[mc]?ts$/;
+
+// 递归收集条件导出 (node/browser/import/require/types/... 任意嵌套，含 fallback 数组) 的所有目标
+function collectConditionTargets(value, underTypes = false, targets = []) {
+    if (typeof value === 'string') {
+        targets.push({ target: value, types: underTypes || TYPES_FILE_PATTERN.test(value) });
+    } else if (Array.isArray(value)) {
+        value.forEach(item => collectConditionTargets(item, underTypes, targets));
+    } else if (value && typeof value === 'object') {
+        for (const [condition, nested] of Object.entries(value)) {
+            collectConditionTargets(nested, underTypes || condition === 'types' || condition === 'typings', targets);
+        }
+    }
+    return targets;
+}
+
+/**
+ * 展开通配子路径: `"./ui/*": "./dist/ui/*.js"` → [{ subpath: './ui/button', file }]。
+ * 只展开可作为入口的文件: types 条件下为声明文件，否则为 JS/TS 模块 (跳过 .d.ts、.map 等)。
+ */
+async function expandWildcardTarget(subpathPattern, targetPattern, packageRoot, types = false) {
+    const [prefix, suffix] = targetPattern.split('*');
+    const normalizedPrefix = path.posix.normalize(prefix);
+    const baseDir = prefix.endsWith('/') ? normalizedPrefix : path.posix.dirname(normalizedPrefix);
+    const files = await glob('**/*', { cwd: path.resolve(packageRoot, baseDir), nodir: true, ignore: '**/node_modules/**' });
+    const expanded = [];
+    for (const file of files) {
+        const relative = path.posix.join(baseDir, file.split(path.sep).join('/'));
+        if (!relative.startsWith(normalizedPrefix) || !relative.endsWith(suffix)) continue;
+        const captured = relative.slice(normalizedPrefix.length, relative.length - suffix.length);
+        if (!captured) continue;
+        const isDeclaration = TYPES_FILE_PATTERN.test(relative);
+        const isModule = SOURCE_EXTENSIONS.includes(path.extname(relative));
+        if (types ? !isDeclaration : (isDeclaration || !isModule)) continue;
+        expanded.push({ subpath: subpathPattern.replace('*', captured), file: path.resolve(packageRoot, relative) });
+    }
+    return expanded;
+}
+
+// typesVersions 只取第一个版本区间，把子路径映射到类型文件
+async function resolveTypesVersions(packageJson, subpath, packageRoot) {
+    const versionMaps = Object.values(packageJson.typesVersions || {});
+    if (versionMaps.length === 0) return null;
+    const request = subpath === '.' ? 'index' : subpath.replace(/^\.\//, '');
+    for (const [pattern, targets] of Object.entries(versionMaps[0])) {
+        const [prefix, suffix = ''] = pattern.split('*');
+        const matches = pattern.includes('*')
+            ? request.startsWith(prefix) && request.endsWith(suffix)
+            : request === pattern;
+        if (!matches) continue;
+        const captured = pattern.includes('*') ? request.slice(prefix.length, request.length - suffix.length) : '';
+        for (const target of [].concat(targets)) {
+            const candidate = path.resolve(packageRoot, target.replace('*', captured));
+            for (const file of [candidate, `${candidate}.d.ts`, path.join(candidate, 'index.d.ts')]) {
+                if (await fs.pathExists(file) && (await fs.stat(file)).isFile()) return file;
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * 按公开子路径整理入口文件: Map<subpath, { js: Set, ts: Set }>。
+ * 没有 `exports` 时 main/module/types 归入 '.'。
+ * mustExist 为 false 时保留尚未构建的目标 (源码模式下再映射回 src)。
+ */
+async function findSubpathEntries(packageJson, packageRoot, { mustExist = true } = {}) {
+    const subpaths = new Map();
+    const addEntry = (subpath, file, isTypes) => {
+        if (!subpaths.has(subpath)) subpaths.set(subpath, { js: new Set(), ts: new Set() });
+        const ext = path.extname(file);
+        if (isTypes || TYPES_FILE_PATTERN.test(file)) subpaths.get(subpath).ts.add(file);
+        else if (JS_EXTENSIONS.includes(ext)) subpaths.get(subpath).js.add(file);
+    };
+
+    const exports = packageJson.exports;
+    if (exports) {
+        const isSubpathMap = typeof exports === 'object' && !Array.isArray(exports)
+            && Object.keys(exports).some(key => key.startsWith('.'));
+        const entries = isSubpathMap ? exports : { '.': exports };
+        for (const [subpath, value] of Object.entries(entries)) {
+            // null 表示显式屏蔽的子路径
+            if (value === null) continue;
+            for (const { target, types } of collectConditionTargets(value)) {
+                if (subpath.includes('*') && target.includes('*')) {
+                    for (const expanded of await expandWildcardTarget(subpath, target, packageRoot, types)) {
+                        addEntry(expanded.subpath, expanded.file, types);
+                    }
+                } else {
+                    addEntry(subpath, path.resolve(packageRoot, target), types);
+                }
+            }
+        }
+    } else {
+        if (packageJson.types || packageJson.typings) { addEntry('.', path.resolve(packageRoot, packageJson.types || packageJson.typings), true); }
+        if (packageJson.main) { addEntry('.', path.resolve(packageRoot, packageJson.main), false); }
+        if (packageJson.module) { addEntry('.', path.resolve(packageRoot, packageJson.module), false); }
+    }
+
+    if (!mustExist) return subpaths;
+    for (const [subpath, entry] of subpaths) {
+        const existing = { js: new Set(), ts: new Set() };
+        for (const key of ['js', 'ts']) {
+            for (const file of entry[key]) {
+                if (await fs.pathExists(file)) existing[key].add(file);
+            }
+        }
+        if (existing.ts.size === 0) {
+            const typesFile = await resolveTypesVersions(packageJson, subpath, packageRoot);
+            if (typesFile) existing.ts.add(typesFile);
+        }
+        if (existing.ts.size === 0 && existing.js.size > 0) {
+            const potentialTs = [...existing.js][0].replace(/\.(m|c)?js$/, '.d.$1ts');
+            if (await fs.pathExists(potentialTs)) { existing.ts.add(potentialTs); }
+        }
+        if (existing.js.size === 0 && existing.ts.size === 0) subpaths.delete(subpath);
+        else subpaths.set(subpath, existing);
+    }
+    return subpaths;
+}
+
+async function findEntryPoints(packageJson, packageRoot) {
+    const subpaths = await findSubpathEntries(packageJson, packageRoot);
+    const entryPoints = { js: new Set(), ts: new Set(), subpaths };
+    subpaths.forEach(entry => {
+        entry.js.forEach(file => entryPoints.js.add(file));
+        entry.ts.forEach(file => entryPoints.ts.add(file));
+    });
+    // 同时声明了 exports 和 main/module/types 时，旧字段也计入整体统计
+    if (packageJson.exports) {
+        const legacy = [
+            [packageJson.types || packageJson.typings, 'ts'],
+            [packageJson.main, 'js'],
+            [packageJson.module, 'js'],
+        ];
+        for (const [entry, key] of legacy) {
+            const file = entry && path.resolve(packageRoot, entry);
+            if (file && await fs.pathExists(file)) entryPoints[key].add(file);
+        }
+    }
+    return entryPoints;
+}
+
+/**
+ * 源码模式的入口点: 显式源码入口，或把 main/types/exports 的每个目标映射回 src。
+ */
+async function findSourceEntryPoints(packageJson, packageRoot, compilerOptions, sourceEntry, results) {
+    const builtSubpaths = sourceEntry
+        ? new Map([['.', { js: new Set(), ts: new Set([path.resolve(packageRoot, sourceEntry)]) }]])
+        : await findSubpathEntries(packageJson, packageRoot, { mustExist: false });
+    const entryPoints = { js: new Set(), ts: new Set(), subpaths: new Map() };
+    for (const [subpath, entry] of builtSubpaths) {
+        const mapped = { js: new Set(), ts: new Set() };
+        for (const builtFile of [...entry.ts, ...entry.js]) {
+            const sourceFile = sourceEntry ? builtFile : await mapToSourceFile(builtFile, packageRoot, compilerOptions);
+            if (!sourceFile || !(await fs.pathExists(sourceFile))) {
+                results.errors.push(t('source.unmapped', { file: builtFile }));
+                continue;
+            }
+            // 同一个源码文件同时提供值与类型，统一交给对应的解析器
+            const key = JS_EXTENSIONS.includes(path.extname(sourceFile)) ? 'js' : 'ts';
+            mapped[key].add(sourceFile);
+            entryPoints[key].add(sourceFile);
+        }
+        if (mapped.js.size > 0 || mapped.ts.size > 0) entryPoints.subpaths.set(subpath, mapped);
+    }
+    return entryPoints;
+}
+
+// -----------------------------------------------------------------------------
+// 单包分析流水线 (原 main 主体)
+// -----------------------------------------------------------------------------
+
+function parseMfExposesInput(mfExposesInput) {
+    if (typeof mfExposesInput !== 'string') return mfExposesInput;
+    return parseLooseJson(mfExposesInput);
+}
+
+// 报告格式版本，格式有不兼容变更时递增 (见 analyze.d.ts 中的 CountDocsReport)
+const REPORT_SCHEMA_VERSION = 1;
+const BUCKETS = ['js', 'ts', 'mf'];
+
+function computeCoverage(documented, total) {
+    if (!total) return null;
+    return Number(((documented / total) * 100).toFixed(2));
+}
+
+function createResults(packageName, packageRoot, context = null) {
+    const createBucket = () => ({ total: 0, undocumented: 0, documented: 0, list: [], undocumentedList: [], documentedList: [], quality: {}, qualityLevels: {}, sources: {}, locations: {}, lifecycle: {} });
+    const results = {
+        packageName: packageName, packagePath: packageRoot,
+        js: createBucket(), ts: createBucket(), mf: createBucket(),
+        reExports: new Set(), reExportedApis: new Set(),
+        entryPoints: { js: [], ts: [] }, errors: [], warnings: [], excluded: [],
+    };
+    if (context) analysisContexts.set(results, context);
+    return results;
+}
+
+// -----------------------------------------------------------------------------
+// 插件: 自定义导出提取 (extractExports) 与文档规则 (onExport)
+// -----------------------------------------------------------------------------
+
+function findExtractorPlugin(filePath, results) {
+    const plugins = getAnalysisContext(results).plugins || [];
+    return plugins.find(plugin => plugin.extractExports && plugin.extensions?.some(ext => filePath.endsWith(ext)));
+}
+
+/**
+ * 用插件提取一个文件的导出，返回插件通过 enqueue 追加的待分析文件。
+ */
+async function runExtractorPlugin(plugin, filePath, results) {
+    const newFiles = new Set();
+    const api = {
+        packageRoot: results.packagePath,
+        readFile: safeReadFile,
+        enqueue: (file) => newFiles.add(path.resolve(path.dirname(filePath), file)),
+    };
+    let extracted;
+    try {
+        extracted = await plugin.extractExports(filePath, api);
+    } catch (e) {
+        results.errors.push(t('plugin.extractFailed', { plugin: plugin.name || '(anonymous)', file: filePath, message: e.message }));
+        return newFiles;
+    }
+    const moduleDocs = [];
+    for (const { name, bucket: bucketKey = 'js', documented, quality, file = filePath, line = null, column = null, tags = [] } of extracted || []) {
+        const bucket = results[bucketKey];
+        if (!bucket) {
+            results.errors.push(t('plugin.unknownBucket', { plugin: plugin.name || '(anonymous)', bucket: bucketKey }));
+            continue;
+        }
+        const reason = exclusionReason(results, name, file, tags);
+        if (reason) {
+            recordExclusion(results, bucketKey, name, reason);
+            continue;
+        }
+        bucket.list.push(name);
+        (documented ? bucket.documentedList : bucket.undocumentedList).push(name);
+        recordQuality(bucket, name, quality || { level: documented ? 'complete' : 'missing', issues: [] });
+        recordSource(bucket, name, file, results.packagePath, { line, column });
+        moduleDocs.push({ apiName: name, documented, quality: bucket.quality[name] });
+    }
+    recordModuleDocs(results, filePath, moduleDocs);
+    return newFiles;
+}
+
+/**
+ * 依次调用插件的 onExport；返回 false 表示排除该导出，
+ * 返回 { documented, issues } 可以改写是否有文档并追加质量问题。
+ */
+function applyExportRules(results) {
+    const plugins = (getAnalysisContext(results).plugins || []).filter(plugin => plugin.onExport);
+    if (plugins.length === 0) return;
+    for (const bucketKey of BUCKETS) {
+        const bucket = results[bucketKey];
+        const documentedSet = new Set(bucket.documentedList);
+        for (const name of new Set(bucket.list)) {
+            let documented = documentedSet.has(name);
+            let excluded = null;
+            for (const plugin of plugins) {
+                const entry = { name, bucket: bucketKey, documented, source: bucket.sources[name] || null, quality: bucket.quality[name] || null };
+                const verdict = plugin.onExport(entry);
+                if (verdict === false) {
+                    excluded = `plugin: ${plugin.name || '(anonymous)'}`;
+                    break;
+                }
+                if (!verdict) continue;
+                if (typeof verdict.documented === 'boolean') documented = verdict.documented;
+                if (verdict.issues?.length) {
+                    const quality = bucket.quality[name] || { level: 'missing', issues: [] };
+                    bucket.quality[name] = { ...quality, issues: [...quality.issues, ...verdict.issues] };
+                }
+            }
+            bucket.documentedList = bucket.documentedList.filter(item => item !== name);
+            bucket.undocumentedList = bucket.undocumentedList.filter(item => item !== name);
+            if (excluded) {
+                bucket.list = bucket.list.filter(item => item !== name);
+                recordExclusion(results, bucketKey, name, excluded);
+                continue;
+            }
+            (documented ? bucket.documentedList : bucket.undocumentedList).push(name);
+        }
+    }
+}
+
+// --- 变更 (V12): 统一的递归分析循环 ---
+async function runFileQueue(fileQueue, results) {
+    const processedFiles = new Set();
+    while (fileQueue.size > 0) {
+        const currentFile = fileQueue.values().next().value;
+        fileQueue.delete(currentFile);
+        if (processedFiles.has(currentFile)) continue;
+        processedFiles.add(currentFile);
+        getLogger(results).debug?.(t('progress.file', { file: path.relative(results.packagePath, currentFile) }));
+        
+        const ext = path.extname(currentFile);
+        let newFiles = new Set();
+        const extractor = findExtractorPlugin(currentFile, results);
+        
+        if (extractor) {
+            newFiles = await runExtractorPlugin(extractor, currentFile, results);
+        } else if (JS_EXTENSIONS.includes(ext)) {
+            newFiles = await parseJsFile(currentFile, results);
+        } else if (TS_EXTENSIONS.includes(ext)) {
+            newFiles = await parseTsFile(currentFile, results);
+        } else {
+            results.errors.push(t('analyze.unknownFileType', { file: currentFile }));
+        }
+        
+        newFiles.forEach(file => fileQueue.add(file));
+    }
+}
+
+// 去重并计算各 bucket 的统计
+function finalizeBuckets(results) {
+    applyExportRules(results);
+    const processResults = (key) => {
+        const uniqueList = [...new Set(results[key].list)];
+        const uniqueDocs = [...new Set(results[key].documentedList)];
+        const docSet = new Set(uniqueDocs);
+        const uniqueUndocumented = [...new Set(results[key].undocumentedList)]
+            .filter(name => !docSet.has(name));
+        results[key].list = uniqueList;
+        results[key].documentedList = uniqueDocs;
+        results[key].undocumentedList = uniqueUndocumented;
+        results[key].total = uniqueList.length;
+        results[key].documented = uniqueDocs.length;
+        results[key].undocumented = uniqueUndocumented.length;
+        results[key].qualityLevels = Object.fromEntries(QUALITY_LEVELS.map(level => [level, 0]));
+        uniqueList.forEach(name => {
+            const level = results[key].quality[name]?.level || 'missing';
+            results[key].qualityLevels[level]++;
+        });
+        groupByStability(results[key]);
+    };
+    processResults('js'); processResults('ts'); processResults('mf');
+}
+
+/**
+ * 按子路径单独统计 (同名 API 在不同子路径下分别计数)，并检查 JS 与类型入口导出的名字是否一致。
+ * 各文件的导出表和 TS 记录在主统计时已算好，这里只按子路径重新汇总。
+ */
+async function analyzeSubpaths(subpaths, results) {
+    const breakdown = {};
+    for (const [subpath, entry] of subpaths) {
+        const context = analysisContexts.get(results);
+        const fromJs = createResults(results.packageName, results.packagePath, context);
+        const fromTypes = createResults(results.packageName, results.packagePath, context);
+        await runFileQueue(new Set(entry.js), fromJs);
+        await runFileQueue(new Set(entry.ts), fromTypes);
+        finalizeBuckets(fromJs);
+        finalizeBuckets(fromTypes);
+
+        const warnings = [];
+        if (entry.js.size > 0 && entry.ts.size > 0) {
+            const jsNames = new Set(fromJs.js.list);
+            const typeValueNames = new Set(fromTypes.js.list);
+            const missingInTypes = [...jsNames].filter(name => !typeValueNames.has(name));
+            const missingInJs = [...typeValueNames].filter(name => !jsNames.has(name));
+            if (missingInTypes.length > 0) warnings.push(t('subpath.missingInTypes', { subpath, names: missingInTypes.join(', ') }));
+            if (missingInJs.length > 0) warnings.push(t('subpath.missingInJs', { subpath, names: missingInJs.join(', ') }));
+        }
+        results.warnings.push(...warnings);
+
+        const summarize = (key) => {
+            const list = [...new Set([...fromJs[key].list, ...fromTypes[key].list])];
+            const documentedSet = new Set([...fromJs[key].documentedList, ...fromTypes[key].documentedList]);
+            const undocumentedList = list.filter(name => !documentedSet.has(name));
+            const documented = list.length - undocumentedList.length;
+            return { total: list.length, documented, undocumented: undocumentedList.length, coverage: computeCoverage(documented, list.length), list, undocumentedList };
+        };
+        breakdown[subpath] = {
+            entryPoints: { js: [...entry.js], ts: [...entry.ts] },
+            js: summarize('js'),
+            ts: summarize('ts'),
+            warnings,
+        };
+    }
+    return breakdown;
+}
+
+/**
+ * 分析单个包，返回最终报告对象 (不打印、不写报告文件)。
+ * options.ref 指定 git 版本时在临时 worktree 中分析，不影响当前检出；
+ * options.blame 为每个未写文档的导出附上引入其声明的提交。其余参数见 analyzePackageTree。
+ */
+async function analyzePackage(packageRoot, { ref = null, blame = false, ...options } = {}) {
+    packageRoot = path.resolve(packageRoot);
+    if (!ref) {
+        const report = await analyzePackageTree(packageRoot, options);
+        if (blame) report.blame = await blameUndocumented(report, options);
+        return report;
+    }
+    return withGitWorktree(packageRoot, ref, async (worktreeRoot, commit) => {
+        (options.logger || silentLogger).log(t('git.analyzingRef', { ref, commit: commit.slice(0, 10) }));
+        // worktree 路径每次不同，不使用结果缓存
+        const report = await analyzePackageTree(worktreeRoot, { ...options, cache: false });
+        if (blame) report.blame = await blameUndocumented(report, options);
+        return { ...relocateReportPaths(report, worktreeRoot, packageRoot), gitRef: { ref, commit } };
+    });
+}
+
+/**
+ * 分析磁盘上的包目录。
+ * options.mfExposes 可以是 CLI 传入的 JSON 字符串，也可以是 manifest 中的对象；
+ * options.cache 为 true 时使用系统的用户缓存目录 (见 defaultCacheDir)，为字符串时作为缓存目录 (CLI 传入 analysis_reports/.cache)；
+ * options.plugins 见 analyze.d.ts 中的 CountDocsPlugin。
+ */
+async function analyzePackageTree(packageRoot, {
+    mfExposes = null, mfConfigPath = null, members = false,
+    source = false, sourceEntry = null, tsconfig = null, cache = false, config = null,
+    plugins = [], logger = silentLogger, signatures = false,
+} = {}) {
+    packageRoot = path.resolve(packageRoot);
+    const startedAt = performance.now();
+    const timings = { entryPoints: 0, program: 0, analysis: 0, subpaths: 0, total: 0 };
+    const packageJsonPath = path.join(packageRoot, 'package.json');
+
+    logger.log(t('progress.package', { path: packageRoot }));
+    if (!(await fs.pathExists(packageJsonPath))) {
+        throw new Error(t('analyze.noPackageJson', { path: packageJsonPath }));
+    }
+    const packageJson = await fs.readJson(packageJsonPath);
+    const packageName = packageJson.name || path.basename(packageRoot);
+    // 项目配置提供默认值，命令行参数优先
+    const projectConfig = await loadProjectConfig(packageRoot, packageJson, config);
+    if (projectConfig.configPath) {
+        logger.log(t('config.using', { path: projectConfig.configPath }));
+    }
+    mfExposes = mfExposes || projectConfig.mfExposes;
+    mfConfigPath = mfConfigPath || (projectConfig.mfConfig && path.resolve(packageRoot, projectConfig.mfConfig));
+    plugins = [...plugins, ...(projectConfig.plugins || [])];
+
+    // 源码模式: 使用包自己的 tsconfig (paths/baseUrl 等)，不依赖构建产物
+    let context = { compilerOptions: defaultTsCompilerOptions };
+    const sourceMode = source || Boolean(sourceEntry);
+    const tsConfig = sourceMode || tsconfig ? loadTsConfig(packageRoot, tsconfig) : null;
+    if (tsConfig) {
+        logger.log(t('source.tsconfig', { path: tsConfig.configPath }));
+        context = { compilerOptions: tsConfig.compilerOptions, tsconfigPath: tsConfig.configPath };
+    } else if (sourceMode) {
+        logger.log(t('source.noTsconfig'));
+    }
+    context.projectConfig = projectConfig;
+    context.plugins = plugins;
+    context.logger = logger;
+    context.timings = timings;
+    context.fileHashes = new Map();
+    context.dependencyGraph = new Map();
+    context.mfExposes = new Map();
+    context.moduleDocs = new Map();
+    context.tsFileRecords = new Map();
+    if (cache) {
+        const cacheDir = typeof cache === 'string' ? path.resolve(cache) : defaultCacheDir();
+        context.cache = await loadAnalysisCache(analysisCacheFile(cacheDir, packageName, packageRoot));
+    }
+
+    const results = createResults(packageName, packageRoot, context);
+    if (tsConfig) results.errors.push(...tsConfig.errors);
+    // 深度模式: 额外统计导出容器类型的公开成员
+    if (members) {
+        results.members = { total: 0, documented: 0, undocumented: 0, apis: {} };
+    }
+    // snapshot 模式: 额外记录每个导出的 kind 和类型签名
+    if (signatures) results.signatures = {};
+    results.components = { total: 0, props: null, apis: {} };
+
+    try {
+        logger.log(t('progress.entryPoints'));
+        const entryPoints = sourceMode
+            ? await findSourceEntryPoints(packageJson, packageRoot, context.compilerOptions, sourceEntry, results)
+            : await findEntryPoints(packageJson, packageRoot);
+        
+        // --- 变更 (V12): 统一的工作队列 ---
+        for (const entry of projectConfig.entries) {
+            const entryPath = path.resolve(packageRoot, entry);
+            if (!(await fs.pathExists(entryPath))) {
+                results.warnings.push(t('config.entryMissing', { entry }));
+                continue;
+            }
+            (isJsFile(entryPath) ? entryPoints.js : entryPoints.ts).add(entryPath);
+        }
+        const fileQueue = new Set([...entryPoints.js, ...entryPoints.ts]);
+
+        if (mfExposes) {
+            logger.log(t('mf.explicitExposes'));
+            try {
+                const exposesObj = parseMfExposesInput(mfExposes);
+                await processExposesObjectLiteral(exposesObj, packageRoot, results, fileQueue);
+            } catch (e) {
+                results.errors.push(t('mf.exposesInputFailed', { message: e.message }));
+                logger.error(t('mf.rejectedInput', { input: typeof mfExposes === 'string' ? mfExposes : JSON.stringify(mfExposes) }));
+            }
+        } else {
+            await parseMfExports(packageRoot, results, fileQueue, mfConfigPath);
+        }
+        
+        // V12: entryPoints 只是为了报告，不再用于 js/ts 队列
+        results.entryPoints.js = [...entryPoints.js];
+        results.entryPoints.ts = [...entryPoints.ts];
+        timings.entryPoints = performance.now() - startedAt;
+        
+        logger.log(t('progress.analysis'));
+        // 所有 TS 入口共用一个 program (首次缓存未命中时才创建)
+        context.rootNames = [...fileQueue].filter(file => TS_EXTENSIONS.includes(path.extname(file)));
+        const analysisStartedAt = performance.now();
+        await runFileQueue(fileQueue, results);
+        timings.analysis = performance.now() - analysisStartedAt;
+
+        if (entryPoints.subpaths.size > 0) {
+            logger.log(t('progress.subpaths', { count: entryPoints.subpaths.size }));
+            const subpathsStartedAt = performance.now();
+            results.subpaths = await analyzeSubpaths(entryPoints.subpaths, results);
+            timings.subpaths = performance.now() - subpathsStartedAt;
+        }
+    } catch (e) {
+        logger.error(t('analyze.fatal', { message: e.message }));
+        results.errors.push(e.stack);
+    }
+
+    if (context.cache) await saveAnalysisCache(context.cache, logger);
+
+    // --- 报告处理 ---
+    // 致命错误时也要给已登记的 expose 定性
+    await documentMfExposes(results);
+    finalizeBuckets(results);
+    await applyExternalDocs(results, projectConfig.externalDocs);
+    collectLifecycleWarnings(results);
+    if (results.members) summarizeMembers(results.members);
+    summarizeComponents(results.components);
+    timings.total = performance.now() - startedAt;
+    // program 创建时间包含在 analysis / subpaths 之内
+    results.performance = {
+        timings: Object.fromEntries(Object.entries(timings).map(([phase, ms]) => [phase, Math.round(ms)])),
+        cache: context.cache ? { hits: context.cache.hits, misses: context.cache.misses } : null,
+    };
+    const { timings: rounded, cache: cacheStats } = results.performance;
+    logger.log(t('timings.summary', rounded) + (cacheStats ? t('timings.cache', cacheStats) : ''));
+    let report = {
+        schemaVersion: REPORT_SCHEMA_VERSION,
+        ...results,
+        reExports: [...results.reExports],
+        reExportedApis: [...results.reExportedApis],
+    };
+    for (const plugin of plugins) {
+        if (!plugin.onReport) continue;
+        try {
+            report = (await plugin.onReport(report)) || report;
+        } catch (e) {
+            report.errors.push(t('plugin.onReportFailed', { plugin: plugin.name || '(anonymous)', message: e.message }));
+        }
+    }
+    return report;
+}
+
+// -----------------------------------------------------------------------------
+// 报告保存
+// -----------------------------------------------------------------------------
+
+// CLI 的 --out 会替换报告目录
+let reportsRoot = path.resolve(__dirname, 'analysis_reports');
+
+// CLI 的输出设置，由 main() 根据 --format / --quiet / --verbose 填写
+const cliOutput = { format: null, quiet: false, verbose: false };
+
+// 进度和提示走 stderr，stdout 只留给结果 (报告、补丁、annotations)，便于重定向
+const cliLogger = {
+    log: (...args) => { if (!cliOutput.quiet) console.error(...args); },
+    warn: (...args) => { if (!cliOutput.quiet) console.error(...args); },
+    error: (...args) => console.error(...args),
+    debug: (...args) => { if (cliOutput.verbose) console.error(...args); },
+};
+
+function toSafeProjectName(packageName) {
+    return packageName.replace(/@/g, '').replace(/\//g, '_');
+}
+
+// 文件名精确到毫秒，按字典序即按时间排序
+function formatFileTimestamp(now = new Date()) {
+    const pad = (n, width = 2) => n.toString().padStart(width, '0');
+    const dateStr = `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+    const timeStr = `${pad(now.getHours())}-${pad(now.getMinutes())}-${pad(now.getSeconds())}-${pad(now.getMilliseconds(), 3)}`;
+    return `${dateStr}_${timeStr}`;
+}
+
+/**
+ * 写入带时间戳的报告文件。同一毫秒内已有同名报告时 (如并行的 CI 任务) 把时间戳顺延 1ms，不覆盖已有报告。
+ */
+async function writeReportFile(reportDir, report, suffix = '') {
+    try {
+        await fs.ensureDir(reportDir);
+        let time = Date.now();
+        for (;;) {
+            const reportFullPath = path.join(reportDir, `${formatFileTimestamp(new Date(time))}${suffix}.json`);
+            try {
+                await fs.writeJson(reportFullPath, report, { spaces: 2, flag: 'wx' });
+            } catch (e) {
+                if (e.code !== 'EEXIST') throw e;
+                time++;
+                continue;
+            }
+            cliLogger.log(t('report.saved', { path: reportFullPath }));
+            return reportFullPath;
+        }
+    } catch (saveError) {
+        cliLogger.error(t('report.saveFailed', { message: saveError.message }));
+        return null;
+    }
+}
+
+async function saveReport(finalReport) {
+    cliLogger.log(t('progress.save'));
+    // 历史版本的报告带 @ref 后缀，不进入 diff/trend 的时间线
+    const suffix = finalReport.gitRef ? `@${finalReport.gitRef.ref.replace(/[^\w.-]+/g, '-')}` : '';
+    return writeReportFile(path.join(reportsRoot, toSafeProjectName(finalReport.packageName)), finalReport, suffix);
+}
+
+// -----------------------------------------------------------------------------
+// 报告渲染 (HTML / Markdown)
+// -----------------------------------------------------------------------------
+
+const BUCKET_LABELS = { js: 'JS (values)', ts: 'TS (types)', mf: 'Module Federation' };
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
+function escapeMarkdownCell(value) {
+    return String(value).replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+}
+
+// 报告中的所有导出行 (第三方 re-export 单独列出，不进入主表)
+function collectExportRows(report) {
+    const reExported = new Set(report.reExportedApis || []);
+    const rows = [];
+    for (const key of BUCKETS) {
+        const bucket = report[key];
+        const documented = new Set(bucket.documentedList);
+        for (const name of bucket.list) {
+            if (reExported.has(name)) continue;
+            rows.push({
+                name,
+                bucket: key,
+                documented: documented.has(name),
+                quality: bucket.quality?.[name]?.level || (documented.has(name) ? 'complete' : 'missing'),
+                source: bucket.sources?.[name] || '',
+                uses: report.usage ? (report.usage.apis[name]?.count || 0) : null,
+                docSource: bucket.docSources?.[name] || null,
+                externalFiles: [...new Set((bucket.external?.[name] || []).map(ref => ref.file))],
+            });
+        }
+    }
+    return rows.sort((a, b) => a.bucket.localeCompare(b.bucket) || a.name.localeCompare(b.name));
+}
+
+function textCoverageBar(coverage, width = 20) {
+    if (coverage === null) return '░'.repeat(width);
+    const filled = Math.round((coverage / 100) * width);
+    return '█'.repeat(filled) + '░'.repeat(width - filled);
+}
+
+function renderMarkdownReport(report) {
+    const lines = [];
+    lines.push(`## 📚 Documentation coverage: \`${report.packageName}\``, '');
+    if (report.gitRef) lines.push(`At \`${report.gitRef.ref}\` (${report.gitRef.commit.slice(0, 10)})`, '');
+    lines.push('| Bucket | Documented | Total | Coverage | |', '| --- | ---: | ---: | ---: | --- |');
+    for (const key of BUCKETS) {
+        const { documented, total } = report[key];
+        const coverage = computeCoverage(documented, total);
+        lines.push(`| ${BUCKET_LABELS[key]} | ${documented} | ${total} | ${coverage === null ? '-' : `${coverage}%`} | \`${textCoverageBar(coverage)}\` |`);
+    }
+    lines.push('');
+
+    if (report.subpaths && Object.keys(report.subpaths).length > 1) {
+        lines.push('| Subpath | JS documented | TS documented | Coverage |', '| --- | ---: | ---: | ---: |');
+        for (const [subpath, summary] of Object.entries(report.subpaths)) {
+            const coverage = computeCoverage(summary.js.documented + summary.ts.documented, summary.js.total + summary.ts.total);
+            lines.push(`| \`${subpath}\` | ${summary.js.documented}/${summary.js.total} | ${summary.ts.documented}/${summary.ts.total} | ${coverage === null ? '-' : `${coverage}%`} |`);
+        }
+        lines.push('');
+    }
+
+    if (report.externalDocs) {
+        lines.push(`Documentation sources (${report.externalDocs.files.length} README/docs/Storybook files indexed):`, '');
+        lines.push('| Bucket | Inline only | External only | Both | Neither | Coverage incl. external |', '| --- | ---: | ---: | ---: | ---: | ---: |');
+        for (const key of BUCKETS) {
+            const counts = report[key].docSourceCounts;
+            const coverage = computeCoverage(counts.inline + counts.external + counts.both, report[key].total);
+            lines.push(`| ${BUCKET_LABELS[key]} | ${counts.inline} | ${counts.external} | ${counts.both} | ${counts.none} | ${coverage === null ? '-' : `${coverage}%`} |`);
+        }
+        lines.push('');
+    }
+    if (BUCKETS.some(key => report[key].stabilityCounts)) {
+        lines.push(`| Bucket | ${STABILITY_GROUPS.join(' | ')} |`, `| --- |${' ---: |'.repeat(STABILITY_GROUPS.length)}`);
+        for (const key of BUCKETS) {
+            const counts = report[key].stabilityCounts || {};
+            lines.push(`| ${BUCKET_LABELS[key]} | ${STABILITY_GROUPS.map(group => counts[group] ?? 0).join(' | ')} |`);
+        }
+        lines.push('');
+    }
+    const deprecatedRows = ['js', 'ts'].flatMap(key => (report[key].stability?.deprecated || []).map(name => ({ name, key, ...report[key].lifecycle[name] })));
+    if (deprecatedRows.length > 0) {
+        lines.push('<details>', `<summary>Deprecated exports (${deprecatedRows.length})</summary>`, '');
+        deprecatedRows.forEach(row => lines.push(`- \`${row.name}\` (${row.key})${row.since ? ` since ${escapeMarkdownCell(row.since)}` : ''}${row.deprecated ? ` — ${escapeMarkdownCell(row.deprecated)}` : ''}`));
+        lines.push('', '</details>', '');
+    }
+
+    const rows = collectExportRows(report);
+    const undocumented = rows.filter(row => !row.documented);
+    // usage 模式下按使用次数排序，先写最常用的
+    if (report.usage) undocumented.sort((a, b) => b.uses - a.uses);
+    if (undocumented.length > 0) {
+        lines.push('<details>', `<summary>Undocumented exports (${undocumented.length})${report.usage ? ', by usage' : ''}</summary>`, '');
+        undocumented.forEach(row => lines.push(`- \`${row.name}\` (${row.bucket})${row.uses !== null ? ` · ${row.uses} uses` : ''}${row.source ? ` — \`${row.source}\`` : ''}${row.externalFiles.length > 0 ? ` · documented in ${row.externalFiles.map(file => `\`${file}\``).join(', ')}` : ''}`));
+        lines.push('', '</details>', '');
+    }
+    if (report.blame?.length > 0) {
+        lines.push('<details>', `<summary>Undocumented exports by recency (${report.blame.length})</summary>`, '');
+        lines.push('| API | Location | Commit | Date | Author | Summary |', '| --- | --- | --- | --- | --- | --- |');
+        report.blame.forEach(entry => lines.push(`| \`${escapeMarkdownCell(entry.name)}\` | ${entry.file ? `${escapeMarkdownCell(entry.file)}:${entry.line}` : '-'} | ${entry.commit ? entry.commit.slice(0, 10) : '-'} | ${entry.date ? entry.date.slice(0, 10) : '-'} | ${escapeMarkdownCell(entry.author || '-')} | ${escapeMarkdownCell(entry.reason || entry.summary || '')} |`));
+        lines.push('', '</details>', '');
+    }
+
+    lines.push('<details>', `<summary>All exports (${rows.length})</summary>`, '');
+    lines.push('| API | Bucket | Documented | Quality | Source |', '| --- | --- | --- | --- | --- |');
+    rows.forEach(row => {
+        lines.push(`| \`${escapeMarkdownCell(row.name)}\` | ${row.bucket} | ${row.documented ? '✅' : '❌'} | ${row.quality} | ${escapeMarkdownCell(row.source)} |`);
+    });
+    lines.push('', '</details>', '');
+
+    if (report.members) {
+        const { documented, total } = report.members;
+        const coverage = computeCoverage(documented, total);
+        lines.push('<details>', `<summary>Member coverage: ${documented}/${total}${coverage === null ? '' : ` (${coverage}%)`}</summary>`, '');
+        lines.push('| API | Kind | Documented | Total | Undocumented members |', '| --- | --- | ---: | ---: | --- |');
+        Object.entries(report.members.apis).forEach(([name, api]) => {
+            lines.push(`| \`${escapeMarkdownCell(name)}\` | ${api.kind} | ${api.documented} | ${api.total} | ${api.undocumentedList.map(member => `\`${escapeMarkdownCell(member)}\``).join(', ')} |`);
+        });
+        lines.push('', '</details>', '');
+    }
+
+    const components = Object.entries(report.components?.apis || {});
+    if (components.length > 0) {
+        const { documented, total, coverage } = report.components.props;
+        lines.push('<details>', `<summary>Component props (${components.length} components): ${documented}/${total}${coverage === null ? '' : ` (${coverage}%)`}</summary>`, '');
+        lines.push('| Component | Kind | Props documented | Required | With default | Undocumented props |', '| --- | --- | ---: | ---: | ---: | --- |');
+        for (const [, component] of components) {
+            const required = component.props.filter(prop => prop.required).length;
+            const withDefault = component.props.filter(prop => prop.defaultValue !== null).length;
+            lines.push(`| \`${escapeMarkdownCell(component.name)}\` (\`${escapeMarkdownCell(component.file)}\`) | ${component.kind} | ${component.documented}/${component.total} | ${required} | ${withDefault} | ${component.undocumentedList.map(prop => `\`${escapeMarkdownCell(prop)}\``).join(', ')} |`);
+        }
+        lines.push('', '</details>', '');
+    }
+
+    const reExportedApis = report.reExportedApis || [];
+    if (reExportedApis.length > 0) {
+        lines.push('<details>', `<summary>Re-exported third-party APIs (${reExportedApis.length})</summary>`, '');
+        reExportedApis.forEach(name => lines.push(`- \`${name}\``));
+        lines.push('', '</details>', '');
+    }
+
+    if (report.excluded?.length > 0) {
+        lines.push('<details>', `<summary>Excluded by config (${report.excluded.length})</summary>`, '');
+        report.excluded.forEach(entry => lines.push(`- \`${entry.name}\` (${entry.bucket}): ${escapeMarkdownCell(entry.reason)}`));
+        lines.push('', '</details>', '');
+    }
+
+    if (report.warnings?.length > 0) {
+        lines.push(`### Warnings (${report.warnings.length})`, '');
+        report.warnings.forEach(warning => lines.push(`- ${escapeMarkdownCell(warning)}`));
+        lines.push('');
+    }
+
+    if (report.errors.length > 0) {
+        lines.push(`### ⚠️ Errors (${report.errors.length})`, '');
+        report.errors.forEach(error => lines.push(`- ${escapeMarkdownCell(error.split('\n')[0])}`));
+        lines.push('');
+    }
+    return lines.join('\n');
+}
+
+function renderHtmlReport(report) {
+    const rows = collectExportRows(report);
+    const bars = BUCKETS.map(key => {
+        const { documented, total } = report[key];
+        const coverage = computeCoverage(documented, total);
+        return `
+      <div class="bar-row">
+        <span class="bar-label">${BUCKET_LABELS[key]}</span>
+        <span class="bar"><span class="bar-fill" style="width:${coverage ?? 0}%"></span></span>
+        <span class="bar-value">${coverage === null ? '-' : `${coverage}%`} (${documented}/${total})</span>
+      </div>`;
+    }).join('');
+    const tableRows = rows.map(row => `
+        <tr class="${row.documented ? 'documented' : 'undocumented'}">
+          <td><code>${escapeHtml(row.name)}</code></td>
+          <td>${row.bucket}</td>
+          <td data-sort="${row.documented ? 1 : 0}">${row.documented ? '✅' : '❌'}</td>
+          <td data-sort="${QUALITY_LEVELS.indexOf(row.quality)}">${row.quality}</td>
+          <td>${escapeHtml(row.source)}</td>${report.externalDocs ? `
+          <td title="${escapeHtml(row.externalFiles.join(', '))}">${row.docSource}</td>` : ''}${report.usage ? `
+          <td data-sort="${row.uses}">${row.uses}</td>` : ''}
+        </tr>`).join('');
+    const memberSection = !report.members ? '' : `
+    <h2>Member coverage (${report.members.documented}/${report.members.total})</h2>
+    <table>
+      <thead><tr><th>API</th><th>Kind</th><th>Documented</th><th>Total</th><th>Undocumented members</th></tr></thead>
+      <tbody>${Object.entries(report.members.apis).map(([name, api]) => `
+        <tr><td><code>${escapeHtml(name)}</code></td><td>${api.kind}</td><td>${api.documented}</td><td>${api.total}</td><td>${api.undocumentedList.map(member => `<code>${escapeHtml(member)}</code>`).join(', ')}</td></tr>`).join('')}
+      </tbody>
+    </table>`;
+    const componentSection = !report.components?.total ? '' : `
+    <h2>Component props (${report.components.props.documented}/${report.components.props.total})</h2>
+    <table>
+      <thead><tr><th>Component</th><th>Kind</th><th>Props type</th><th>Prop</th><th>Documented</th><th>Required</th><th>Default</th></tr></thead>
+      <tbody>${Object.values(report.components.apis).flatMap(component => (component.props.length > 0 ? component.props : [null]).map(prop => `
+        <tr><td><code>${escapeHtml(component.name)}</code> <small>${escapeHtml(component.file)}</small></td><td>${component.kind}</td><td><code>${escapeHtml(component.propsType || '')}</code></td>${prop ? `<td><code>${escapeHtml(prop.name)}</code></td><td>${prop.documented ? '✅' : '❌'}</td><td>${prop.required === null ? '?' : prop.required ? 'yes' : 'no'}</td><td>${prop.defaultValue === null ? '' : `<code>${escapeHtml(prop.defaultValue)}</code>`}</td>` : '<td colspan="4">(no props)</td>'}</tr>`)).join('')}
+      </tbody>
+    </table>`;
+    const reExportedApis = report.reExportedApis || [];
+    const reExportSection = reExportedApis.length === 0 ? '' : `
+    <h2>Re-exported third-party APIs (${reExportedApis.length})</h2>
+    <ul>${reExportedApis.map(name => `<li><code>${escapeHtml(name)}</code></li>`).join('')}</ul>`;
+    const subpathSection = !report.subpaths || Object.keys(report.subpaths).length <= 1 ? '' : `
+  <h2>Subpaths</h2>
+  <table>
+    <thead><tr><th>Subpath</th><th>JS documented</th><th>TS documented</th><th>Coverage</th></tr></thead>
+    <tbody>${Object.entries(report.subpaths).map(([subpath, summary]) => {
+        const coverage = computeCoverage(summary.js.documented + summary.ts.documented, summary.js.total + summary.ts.total);
+        return `
+      <tr><td><code>${escapeHtml(subpath)}</code></td><td>${summary.js.documented}/${summary.js.total}</td><td>${summary.ts.documented}/${summary.ts.total}</td><td>${coverage === null ? '-' : `${coverage}%`}</td></tr>`;
+    }).join('')}
+    </tbody>
+  </table>`;
+    const excludedSection = !report.excluded?.length ? '' : `
+    <h2>Excluded by config (${report.excluded.length})</h2>
+    <ul>${report.excluded.map(entry => `<li><code>${escapeHtml(entry.name)}</code> (${entry.bucket}): ${escapeHtml(entry.reason)}</li>`).join('')}</ul>`;
+    const docSourceSection = !report.externalDocs ? '' : `
+    <h2>Documentation sources</h2>
+    <p>${report.externalDocs.files.length} README/docs/Storybook files indexed.</p>
+    <table>
+      <thead><tr><th>Bucket</th><th>Inline only</th><th>External only</th><th>Both</th><th>Neither</th><th>Coverage incl. external</th></tr></thead>
+      <tbody>${BUCKETS.map(key => {
+        const counts = report[key].docSourceCounts;
+        const coverage = computeCoverage(counts.inline + counts.external + counts.both, report[key].total);
+        return `
+        <tr><td>${BUCKET_LABELS[key]}</td>${DOC_SOURCES.map(source => `<td>${counts[source]}</td>`).join('')}<td>${coverage === null ? '-' : `${coverage}%`}</td></tr>`;
+    }).join('')}
+      </tbody>
+    </table>`;
+    const stabilitySection = !BUCKETS.some(key => report[key].stabilityCounts) ? '' : `
+    <h2>Stability</h2>
+    <table>
+      <thead><tr><th>Bucket</th>${STABILITY_GROUPS.map(group => `<th>${group}</th>`).join('')}</tr></thead>
+      <tbody>${BUCKETS.map(key => `
+        <tr><td>${BUCKET_LABELS[key]}</td>${STABILITY_GROUPS.map(group => `<td>${report[key].stabilityCounts?.[group] ?? 0}</td>`).join('')}</tr>`).join('')}
+      </tbody>
+    </table>`;
+    const warningSection = !report.warnings?.length ? '' : `
+    <h2>Warnings (${report.warnings.length})</h2>
+    <ul>${report.warnings.map(warning => `<li>${escapeHtml(warning)}</li>`).join('')}</ul>`;
+    const errorSection = report.errors.length === 0 ? '' : `
+    <h2>Errors (${report.errors.length})</h2>
+    <ul class="errors">${report.errors.map(error => `<li><pre>${escapeHtml(error)}</pre></li>`).join('')}</ul>`;
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Documentation coverage: ${escapeHtml(report.packageName)}</title>
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif; margin: 2rem; color: #1f2328; }
+    .bar-row { display: flex; align-items: center; gap: 1rem; margin: .4rem 0; }
+    .bar-label { width: 12rem; }
+    .bar { width: 24rem; height: 1rem; background: #eaeef2; border-radius: 4px; overflow: hidden; }
+    .bar-fill { display: block; height: 100%; background: #2da44e; }
+    table { border-collapse: collapse; margin-top: 1rem; width: 100%; }
+    th, td { border-bottom: 1px solid #d0d7de; padding: .35rem .6rem; text-align: left; }
+    th { cursor: pointer; user-select: none; background: #f6f8fa; }
+    th::after { content: " ⇅"; color: #8c959f; }
+    tr.undocumented td:first-child { color: #cf222e; }
+    .errors pre { white-space: pre-wrap; margin: 0; }
+  </style>
+</head>
+<body>
+  <h1>Documentation coverage: <code>${escapeHtml(report.packageName)}</code></h1>
+  <p>${escapeHtml(report.packagePath)}</p>
+  <section>${bars}
+  </section>${docSourceSection}${subpathSection}
+  <h2>Exports (${rows.length})</h2>
+  <table id="exports">
+    <thead>
+      <tr><th>API</th><th>Bucket</th><th>Documented</th><th>Quality</th><th>Source</th>${report.externalDocs ? '<th>Docs</th>' : ''}${report.usage ? '<th>Uses</th>' : ''}</tr>
+    </thead>
+    <tbody>${tableRows}
+    </tbody>
+  </table>${stabilitySection}${memberSection}${componentSection}${reExportSection}${excludedSection}${warningSection}${errorSection}
+  <script>
+    document.querySelectorAll('#exports th').forEach((th, column) => {
+      let ascending = true;
+      th.addEventListener('click', () => {
+        const tbody = document.querySelector('#exports tbody');
+        const value = (tr) => { const td = tr.children[column]; return td.dataset.sort ?? td.textContent.trim(); };
+        const rows = [...tbody.rows].sort((a, b) => value(a).localeCompare(value(b), undefined, { numeric: true }));
+        if (!ascending) rows.reverse();
+        ascending = !ascending;
+        rows.forEach(row => tbody.appendChild(row));
+      });
+    });
+  </script>
+</body>
+</html>
+`;
+}
+
+// 在 JSON 报告旁边写出 .html / .md / .sarif
+async function writeRenderedReports(report, jsonReportPath, formats) {
+    const renderers = { html: renderHtmlReport, md: renderMarkdownReport, sarif: renderSarifReport };
+    for (const format of formats) {
+        const outputPath = jsonReportPath.replace(/\.json$/, `.${format}`);
+        try {
+            await fs.writeFile(outputPath, renderers[format](report), 'utf-8');
+            cliLogger.log(t('render.saved', { format: format.toUpperCase(), path: outputPath }));
+        } catch (e) {
+            cliLogger.error(t('render.saveFailed', { format: format.toUpperCase(), message: e.message }));
+        }
+    }
+}
+
+function requestedRenderFormats(args) {
+    return ['html', 'md', 'sarif'].filter(format => args.includes(`--${format}`));
+}
+
+// -----------------------------------------------------------------------------
+// SARIF 2.1.0 与 GitHub Actions annotations
+// -----------------------------------------------------------------------------
+
+// 规则说明取自 MESSAGES 的 `sarif.rule.<id>`
+const SARIF_RULES = [
+    { id: 'undocumented-export', level: 'warning' },
+    { id: 'analysis-error', level: 'error' },
+];
+
+/**
+ * 未写文档的导出及其声明位置 (跳过第三方再导出；同时是值和类型的导出只出现一次)。
+ */
+function collectUndocumentedLocations(report) {
+    const reExported = new Set(report.reExportedApis || []);
+    const seen = new Set();
+    const entries = [];
+    for (const key of BUCKETS) {
+        for (const name of report[key].undocumentedList) {
+            if (reExported.has(name) || seen.has(name)) continue;
+            seen.add(name);
+            const location = report[key].locations?.[name] || { file: report[key].sources?.[name] || null, line: null, column: null };
+            entries.push({ name, bucket: key, ...location });
+        }
+    }
+    return entries;
+}
+
+// 从错误信息中找出包内的文件路径，以及 Babel 风格的 (行:列)
+function errorLocation(message, packageRoot) {
+    const prefix = `${packageRoot}${path.sep}`.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const fileMatch = message.match(new RegExp(`${prefix}[^\\s:,()'"]+`));
+    if (!fileMatch) return null;
+    const positionMatch = message.slice(fileMatch.index).match(/\((\d+):(\d+)\)/);
+    return {
+        file: path.relative(packageRoot, fileMatch[0]),
+        line: positionMatch ? Number(positionMatch[1]) : null,
+        column: positionMatch ? Number(positionMatch[2]) + 1 : null,
+    };
+}
+
+function sarifLocation({ file, line, column }) {
+    if (!file) return [];
+    const region = line ? { startLine: line, ...(column ? { startColumn: column } : {}) } : undefined;
+    return [{
+        physicalLocation: {
+            artifactLocation: { uri: file.split(path.sep).join('/'), uriBaseId: 'PACKAGE_ROOT' },
+            ...(region ? { region } : {}),
+        },
+    }];
+}
+
+/**
+ * SARIF 2.1.0 日志: 每个未写文档的导出是一条 warning，每条分析错误是一条 error。路径相对 PACKAGE_ROOT (包根目录)。
+ */
+function renderSarifReport(report) {
+    const results = collectUndocumentedLocations(report).map(entry => ({
+        ruleId: 'undocumented-export',
+        level: 'warning',
+        message: { text: t('sarif.undocumented', { name: entry.name, bucket: BUCKET_LABELS[entry.bucket] }) },
+        locations: sarifLocation(entry),
+    }));
+    for (const error of report.errors) {
+        const location = errorLocation(error, report.packagePath);
+        results.push({
+            ruleId: 'analysis-error',
+            level: 'error',
+            message: { text: error },
+            locations: location ? sarifLocation(location) : [],
+        });
+    }
+    const sarif = {
+        $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+        version: '2.1.0',
+        runs: [{
+            tool: {
+                driver: {
+                    name: 'count-docs',
+                    rules: SARIF_RULES.map(rule => ({
+                        id: rule.id,
+                        shortDescription: { text: t(`sarif.rule.${rule.id}`) },
+                        defaultConfiguration: { level: rule.level },
+                    })),
+                },
+            },
+            originalUriBaseIds: { PACKAGE_ROOT: { uri: pathToFileURL(`${report.packagePath}${path.sep}`).href } },
+            results,
+        }],
+    };
+    return `${JSON.stringify(sarif, null, 2)}\n`;
+}
+
+// workflow command 的转义规则: 消息转义 % 和换行，属性还要转义 : 和 ,
+function escapeAnnotation(value, isProperty = false) {
+    const escaped = String(value).replace(/%/g, '%25').replace(/\r/g, '%0D').replace(/\n/g, '%0A');
+    return isProperty ? escaped.replace(/:/g, '%3A').replace(/,/g, '%2C') : escaped;
+}
+
+function formatAnnotation(command, message, location) {
+    const properties = [];
+    if (location?.file) {
+        // Actions 按仓库根目录 (工作目录) 解析路径
+        properties.push(`file=${escapeAnnotation(location.file, true)}`);
+        if (location.line) properties.push(`line=${location.line}`);
+        if (location.line && location.column) properties.push(`col=${location.column}`);
+    }
+    return `::${command}${properties.length > 0 ? ` ${properties.join(',')}` : ''}::${escapeAnnotation(message)}`;
+}
+
+/**
+ * GitHub Actions 的 ::warning / ::error 行。only 为导出名集合时只标注其中的导出 (check 模式下只标注新增的)。
+ */
+function renderGithubAnnotations(report, { only = null } = {}) {
+    const toWorkspacePath = (location) => location?.file
+        ? { ...location, file: path.relative(process.cwd(), path.join(report.packagePath, location.file)).split(path.sep).join('/') }
+        : location;
+    const lines = collectUndocumentedLocations(report)
+        .filter(entry => !only || only.has(entry.name))
+        .map(entry => formatAnnotation('warning', t('sarif.undocumented', { name: entry.name, bucket: BUCKET_LABELS[entry.bucket] }), toWorkspacePath(entry)));
+    for (const error of report.errors) {
+        lines.push(formatAnnotation('error', error, toWorkspacePath(errorLocation(error, report.packagePath))));
+    }
+    return lines;
+}
+
+// -----------------------------------------------------------------------------
+// JSDoc 骨架生成 (stubs 模式，输出 unified diff 供审阅后自行 git apply)
+// -----------------------------------------------------------------------------
+
+// 与 PLACEHOLDER_SUMMARY 匹配，未改写就应用的骨架仍会被评为 stub
+const STUB_SUMMARY = 'TODO';
+const PATCH_CONTEXT_LINES = 3;
+
+function hasModifier(node, kind) {
+    return Boolean(ts.canHaveModifiers(node) && ts.getModifiers(node)?.some(modifier => modifier.kind === kind));
+}
+
+// CommonJS: `exports.name = ...` / `module.exports.name = ...` 返回 name
+function commonJsExportTarget(statement, sourceFile) {
+    if (!ts.isExpressionStatement(statement) || !ts.isBinaryExpression(statement.expression)) return null;
+    const { left, operatorToken } = statement.expression;
+    if (operatorToken.kind !== ts.SyntaxKind.EqualsToken || !ts.isPropertyAccessExpression(left)) return null;
+    const target = left.expression.getText(sourceFile);
+    return target === 'exports' || target === 'module.exports' ? left.name.text : null;
+}
+
+/**
+ * 在源文件顶层查找导出名对应的声明，支持 `export { local as name }` 和 `export default`。
+ * 返回 { statement, declaration }，statement 为插入 JSDoc 的位置。
+ */
+function findDeclarationNode(sourceFile, apiName) {
+    let localName = apiName;
+    for (const statement of sourceFile.statements) {
+        if (ts.isExportDeclaration(statement) && !statement.moduleSpecifier && statement.exportClause && ts.isNamedExports(statement.exportClause)) {
+            const specifier = statement.exportClause.elements.find(element => element.name.text === apiName);
+            if (specifier) localName = (specifier.propertyName || specifier.name).text;
+        } else if (apiName === 'default' && ts.isExportAssignment(statement) && ts.isIdentifier(statement.expression)) {
+            localName = statement.expression.text;
+        } else if (commonJsExportTarget(statement, sourceFile) === apiName && ts.isIdentifier(statement.expression.right)) {
+            localName = statement.expression.right.text;
+        }
+    }
+    for (const statement of sourceFile.statements) {
+        if (commonJsExportTarget(statement, sourceFile) === apiName && !ts.isIdentifier(statement.expression.right)) {
+            return { statement, declaration: statement.expression.right };
+        }
+        if (ts.isVariableStatement(statement)) {
+            const declaration = statement.declarationList.declarations
+                .find(item => ts.isIdentifier(item.name) && item.name.text === localName);
+            if (declaration) return { statement, declaration };
+            continue;
+        }
+        const isDefaultExport = apiName === 'default' && hasModifier(statement, ts.SyntaxKind.DefaultKeyword);
+        if (isDefaultExport || statement.name?.text === localName) {
+            if (ts.isFunctionDeclaration(statement) || ts.isClassDeclaration(statement) || ts.isInterfaceDeclaration(statement)
+                || ts.isTypeAliasDeclaration(statement) || ts.isEnumDeclaration(statement) || ts.isModuleDeclaration(statement)) {
+                return { statement, declaration: statement };
+            }
+        }
+    }
+    return null;
+}
+
+function unwrapFunctionLike(declaration) {
+    if (ts.isArrowFunction(declaration) || ts.isFunctionExpression(declaration)) return declaration;
+    if (ts.isVariableDeclaration(declaration)) {
+        let initializer = declaration.initializer;
+        while (initializer && (ts.isParenthesizedExpression(initializer) || ts.isAsExpression(initializer) || ts.isSatisfiesExpression(initializer))) {
+            initializer = initializer.expression;
+        }
+        return initializer && (ts.isArrowFunction(initializer) || ts.isFunctionExpression(initializer)) ? initializer : null;
+    }
+    return ts.isFunctionDeclaration(declaration) ? declaration : null;
+}
+
+// 函数体里是否有带值的 return (不进入嵌套函数)
+function functionReturnsValue(fn) {
+    if (!fn.body) return false;
+    if (!ts.isBlock(fn.body)) return true;
+    let found = false;
+    const visit = (node) => {
+        if (found || ts.isFunctionLike(node)) return;
+        if (ts.isReturnStatement(node) && node.expression) { found = true; return; }
+        ts.forEachChild(node, visit);
+    };
+    ts.forEachChild(fn.body, visit);
+    return found;
+}
+
+/**
+ * 为一个声明生成 JSDoc 的各行 (不含注释起止符)：summary 占位、@template、@param (带已知的 TS 类型)、@returns。
+ */
+function buildStubLines(declaration, sourceFile, inferredReturnType = null) {
+    const lines = [STUB_SUMMARY];
+    const fn = unwrapFunctionLike(declaration);
+    const typeParameters = fn?.typeParameters || declaration.typeParameters || [];
+    typeParameters.forEach(typeParameter => lines.push(`@template ${typeParameter.name.text}`));
+    if (!fn) return lines;
+    fn.parameters.forEach((parameter, index) => {
+        if (ts.isIdentifier(parameter.name) && parameter.name.text === 'this') return;
+        const name = ts.isIdentifier(parameter.name) ? parameter.name.text : `param${index}`;
+        const type = parameter.type ? `{${parameter.type.getText(sourceFile)}} ` : '';
+        const optional = parameter.questionToken || parameter.initializer;
+        lines.push(`@param ${type}${optional ? `[${name}]` : name}`);
+    });
+    const returnType = fn.type?.getText(sourceFile) || (functionReturnsValue(fn) ? inferredReturnType : null);
+    if (returnType) {
+        if (!/^(void|never|undefined|Promise<void>)$/.test(returnType.replace(/\s/g, ''))) lines.push(`@returns {${returnType}}`);
+    } else if (functionReturnsValue(fn)) {
+        lines.push('@returns');
+    }
+    return lines;
+}
+
+/**
+ * 为没有返回类型注解的函数推断 @returns 的类型: 所有需要推断的文件共用一个 program。
+ * 返回 (filePath, apiName) => 类型文本 | null。
+ */
+function createReturnTypeInferrer(filePaths, compilerOptions) {
+    if (filePaths.length === 0) return () => null;
+    const program = ts.createProgram([...new Set(filePaths)], { ...compilerOptions, noEmit: true });
+    const checker = program.getTypeChecker();
+    return (filePath, apiName) => {
+        const sourceFile = program.getSourceFile(filePath);
+        const node = sourceFile && findDeclarationNode(sourceFile, apiName);
+        const fn = node && unwrapFunctionLike(node.declaration);
+        const signature = fn && checker.getSignatureFromDeclaration(fn);
+        if (!signature) return null;
+        const returnType = checker.typeToString(checker.getReturnTypeOfSignature(signature), fn, ts.TypeFormatFlags.NoTruncation);
+        return returnType === 'any' ? null : returnType;
+    };
+}
+
+function formatStubComment(lines, indent) {
+    if (lines.length === 1) return [`${indent}/** ${lines[0]} */`];
+    return [`${indent}/**`, ...lines.map(line => `${indent} * ${line}`), `${indent} */`];
+}
+
+/**
+ * 生成只包含插入行的 unified diff。insertions: Map<行号 (从 0 开始), 插在该行之前的行>。
+ */
+function createInsertionPatch(relativePath, originalText, insertions) {
+    const lines = originalText.split('\n');
+    const trailingNewline = lines[lines.length - 1] === '';
+    if (trailingNewline) lines.pop();
+    const hunks = [];
+    for (const line of [...insertions.keys()].sort((a, b) => a - b)) {
+        const current = hunks[hunks.length - 1];
+        if (current && line - PATCH_CONTEXT_LINES <= current.last + PATCH_CONTEXT_LINES) current.last = line;
+        else hunks.push({ first: line, last: line });
+    }
+    const output = [`--- a/${relativePath}`, `+++ b/${relativePath}`];
+    let offset = 0;
+    for (const { first, last } of hunks) {
+        const start = Math.max(0, first - PATCH_CONTEXT_LINES);
+        const end = Math.min(lines.length, last + PATCH_CONTEXT_LINES + 1);
+        const body = [];
+        let added = 0;
+        for (let index = start; index < end; index++) {
+            for (const inserted of insertions.get(index) || []) {
+                body.push(`+${inserted}`);
+                added++;
+            }
+            body.push(` ${lines[index]}`);
+            if (index === lines.length - 1 && !trailingNewline) body.push('\\ No newline at end of file');
+        }
+        output.push(`@@ -${start + 1},${end - start} +${start + 1 + offset},${end - start + added} @@`, ...body);
+        offset += added;
+    }
+    return output.join('\n');
+}
+
+// 文件是否被 git 忽略 (不在 git 仓库中时视为未忽略)
+async function isGitIgnored(filePath) {
+    try {
+        await git(['check-ignore', '--quiet', filePath], path.dirname(filePath));
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * 把报告中的导出定位到源码里的声明 (构建产物先映射回源码)。
+ * locate(bucketKey, apiName) 返回 { filePath, sourceFile, statement, declaration, line (从 0 开始) } 或 { reason }。
+ */
+function createDeclarationLocator(report, compilerOptions = defaultTsCompilerOptions) {
+    const packageRoot = report.packagePath;
+    const parsedFiles = new Map();
+
+    const parseSource = async (filePath) => {
+        if (!parsedFiles.has(filePath)) {
+            const text = await safeReadFile(filePath);
+            parsedFiles.set(filePath, text === null ? null : ts.createSourceFile(filePath, text, ts.ScriptTarget.Latest, true));
+        }
+        return parsedFiles.get(filePath);
+    };
+
+    const locate = async (bucketKey, apiName) => {
+        const source = report[bucketKey].sources[apiName];
+        if (!source) return { reason: t('stubs.noSource') };
+        const declaredIn = path.resolve(packageRoot, source);
+        if (declaredIn.split(path.sep).includes('node_modules')) return { reason: t('stubs.inDependency', { source }) };
+        const sourceFile = await mapToSourceFile(declaredIn, packageRoot, compilerOptions);
+        // 只有找到了对应的源码，或文件被 git 忽略时才算构建产物；lib/、types/ 下提交到仓库的手写源码照常处理
+        const isBuildOutput = Boolean(sourceFile && sourceFile !== declaredIn) || (await isGitIgnored(declaredIn));
+        const candidates = [sourceFile, isBuildOutput ? null : declaredIn].filter(Boolean);
+        for (const candidate of [...new Set(candidates)]) {
+            const parsed = await parseSource(candidate);
+            const node = parsed && findDeclarationNode(parsed, apiName);
+            if (node) {
+                const { line } = parsed.getLineAndCharacterOfPosition(node.statement.getStart(parsed));
+                return { filePath: candidate, sourceFile: parsed, ...node, line };
+            }
+        }
+        return { reason: t(isBuildOutput && !sourceFile ? 'stubs.buildOutputOnly' : 'stubs.notInSource', { source }) };
+    };
+
+    return { locate, parsedFiles };
+}
+
+/**
+ * 为报告中未写文档的导出生成 JSDoc 骨架 (跳过第三方 re-export)，返回 { patch, stubs, skipped }。
+ * 构建产物 (dist/*.d.ts 等) 会先映射回源码文件，补丁路径相对于包根目录。
+ */
+async function generateJSDocStubs(report, { compilerOptions = defaultTsCompilerOptions } = {}) {
+    const packageRoot = report.packagePath;
+    const reExportedApis = new Set(report.reExportedApis);
+    const { locate, parsedFiles } = createDeclarationLocator(report, compilerOptions);
+    const stubs = [];
+    const skipped = [];
+    const fileEdits = new Map();
+    const handledNames = new Set();
+
+    const located = [];
+    for (const bucketKey of ['js', 'ts']) {
+        for (const apiName of report[bucketKey].undocumentedList) {
+            // 同时是值和类型的导出 (class、enum 等) 只处理一次
+            if (reExportedApis.has(apiName) || handledNames.has(apiName)) continue;
+            handledNames.add(apiName);
+            const found = await locate(bucketKey, apiName);
+            if (found.reason) {
+                skipped.push({ name: apiName, reason: found.reason });
+                continue;
+            }
+            if (ts.getJSDocCommentsAndTags(found.declaration).length > 0 || ts.getJSDocCommentsAndTags(found.statement).length > 0) {
+                skipped.push({ name: apiName, reason: t('stubs.emptyJsdoc') });
+                continue;
+            }
+            located.push({ bucketKey, apiName, found });
+        }
+    }
+
+    const needsInference = located.filter(({ found }) => {
+        const fn = unwrapFunctionLike(found.declaration);
+        return fn && !fn.type && functionReturnsValue(fn);
+    });
+    const inferReturnType = createReturnTypeInferrer(needsInference.map(({ found }) => found.filePath), compilerOptions);
+
+    for (const { bucketKey, apiName, found } of located) {
+        const { line } = found;
+        const edits = fileEdits.get(found.filePath) || new Map();
+        fileEdits.set(found.filePath, edits);
+        if (edits.has(line)) continue;
+        const indent = found.sourceFile.text.split('\n')[line].match(/^\s*/)[0];
+        const returnType = needsInference.some(entry => entry.found === found) ? inferReturnType(found.filePath, apiName) : null;
+        edits.set(line, formatStubComment(buildStubLines(found.declaration, found.sourceFile, returnType), indent));
+        stubs.push({ name: apiName, bucket: bucketKey, file: path.relative(packageRoot, found.filePath), line: line + 1 });
+    }
+
+    const patches = [...fileEdits].map(([filePath, edits]) => {
+        const relativePath = path.relative(packageRoot, filePath).split(path.sep).join('/');
+        return createInsertionPatch(relativePath, parsedFiles.get(filePath).text, edits);
+    });
+    return { patch: patches.length > 0 ? `${patches.join('\n')}\n` : '', stubs, skipped };
+}
+
+async function runStubs(args) {
+    const analyzeArgs = parseAnalyzeArgs(args);
+    // 补丁输出到 stdout，进度日志走 stderr，便于直接重定向
+    const report = await analyzePackage(analyzeArgs.packageRoot, analyzeArgs);
+    const tsConfig = loadTsConfig(analyzeArgs.packageRoot, analyzeArgs.tsconfig);
+    const { patch, stubs, skipped } = await generateJSDocStubs(report, tsConfig ? { compilerOptions: tsConfig.compilerOptions } : {});
+
+    skipped.forEach(({ name, reason }) => cliLogger.warn(t('stubs.skipped', { name, reason })));
+    const outPath = getFlagValue(args, '--out');
+    if (!outPath) {
+        process.stdout.write(patch);
+        cliLogger.log(t('stubs.preview', { count: stubs.length }));
+        return;
+    }
+    await fs.outputFile(path.resolve(process.cwd(), outPath), patch);
+    cliLogger.log(t('stubs.written', { count: stubs.length, path: outPath }));
+    cliLogger.log(t('stubs.applyHint', { path: path.resolve(process.cwd(), outPath) }));
+}
+
+// -----------------------------------------------------------------------------
+// 使用频率 (usage 模式: 扫描同级仓库中对本包的引用)
+// -----------------------------------------------------------------------------
+
+const USAGE_SOURCE_GLOB = '**/*.{js,jsx,mjs,cjs,ts,tsx,mts,cts}';
+const USAGE_IGNORE = ['**/node_modules/**', '**/.git/**', '**/dist/**', '**/build/**', '**/coverage/**', '**/*.d.ts', '**/*.min.js'];
+
+function isRequireCall(node) {
+    return ts.isCallExpression(node) && ts.isIdentifier(node.expression) && node.expression.text === 'require'
+        && node.arguments.length === 1 && ts.isStringLiteralLike(node.arguments[0]);
+}
+
+/**
+ * 在一个文件里收集对本包 (或 MF remote) 的引用，返回 Map<API 名, 次数>。
+ * 支持 import / export from / require / import()，以及命名空间对象上的属性访问 (ns.foo)。
+ */
+function collectFileUsage(sourceFile, matchSpecifier) {
+    const used = new Map();
+    const namespaces = new Set();
+    const count = (name) => used.set(name, (used.get(name) || 0) + 1);
+    const bindNamespace = (nameNode, matched) => {
+        if (ts.isIdentifier(nameNode)) {
+            if (matched.expose) count(matched.expose);
+            else namespaces.add(nameNode.text);
+        } else if (ts.isObjectBindingPattern(nameNode) && !matched.expose) {
+            nameNode.elements.forEach(element => {
+                const imported = element.propertyName || element.name;
+                if (ts.isIdentifier(imported)) count(imported.text);
+            });
+        }
+    };
+
+    const visit = (node) => {
+        if (ts.isImportDeclaration(node) && ts.isStringLiteralLike(node.moduleSpecifier)) {
+            const matched = matchSpecifier(node.moduleSpecifier.text);
+            const clause = node.importClause;
+            if (matched && clause) {
+                if (matched.expose) {
+                    count(matched.expose);
+                } else {
+                    if (clause.name) count('default');
+                    const bindings = clause.namedBindings;
+                    if (bindings && ts.isNamespaceImport(bindings)) namespaces.add(bindings.name.text);
+                    if (bindings && ts.isNamedImports(bindings)) {
+                        bindings.elements.forEach(element => count((element.propertyName || element.name).text));
+                    }
+                }
+            } else if (matched?.expose) {
+                count(matched.expose);
+            }
+        } else if (ts.isExportDeclaration(node) && node.moduleSpecifier && ts.isStringLiteralLike(node.moduleSpecifier)) {
+            const matched = matchSpecifier(node.moduleSpecifier.text);
+            if (matched?.expose) count(matched.expose);
+            else if (matched && node.exportClause && ts.isNamedExports(node.exportClause)) {
+                node.exportClause.elements.forEach(element => count((element.propertyName || element.name).text));
+            }
+        } else if (ts.isVariableDeclaration(node) && node.initializer && isRequireCall(node.initializer)) {
+            const matched = matchSpecifier(node.initializer.arguments[0].text);
+            if (matched) bindNamespace(node.name, matched);
+            return;
+        } else if (ts.isPropertyAccessExpression(node) && isRequireCall(node.expression)) {
+            const matched = matchSpecifier(node.expression.arguments[0].text);
+            if (matched) count(matched.expose || node.name.text);
+            return;
+        } else if (ts.isCallExpression(node) && node.expression.kind === ts.SyntaxKind.ImportKeyword
+            && node.arguments.length > 0 && ts.isStringLiteralLike(node.arguments[0])) {
+            // 动态 import: MF remote 按 expose 计数，npm 包无法得知具体 API
+            const matched = matchSpecifier(node.arguments[0].text);
+            if (matched?.expose) count(matched.expose);
+        }
+        ts.forEachChild(node, visit);
+    };
+    const visitNamespaceAccess = (node) => {
+        if (ts.isPropertyAccessExpression(node) && ts.isIdentifier(node.expression) && namespaces.has(node.expression.text)) {
+            count(node.name.text);
+        }
+        ts.forEachChild(node, visitNamespaceAccess);
+    };
+    visit(sourceFile);
+    // 命名空间绑定收集完后再统计 ns.foo
+    if (namespaces.size > 0) visitNamespaceAccess(sourceFile);
+    return used;
+}
+
+/**
+ * 生成模块说明符匹配函数: 本包名及其子路径按 API 名统计，MF remote (`remote/Button`) 按 expose 统计。
+ */
+function createSpecifierMatcher(packageName, remotes) {
+    return (specifier) => {
+        if (specifier === packageName || specifier.startsWith(`${packageName}/`)) return {};
+        for (const remote of remotes) {
+            if (specifier === remote) return { expose: '.' };
+            if (specifier.startsWith(`${remote}/`)) return { expose: `./${specifier.slice(remote.length + 1)}` };
+        }
+        return null;
+    };
+}
+
+/**
+ * 扫描 reposRoot 下的各个仓库 (跳过本包自身的文件)，统计每个导出被引用的次数和引用它的仓库，
+ * 并把未写文档的导出按使用次数排序。
+ */
+async function collectUsage(report, { reposRoot = path.dirname(report.packagePath), remotes = [] } = {}) {
+    const matchSpecifier = createSpecifierMatcher(report.packageName, remotes);
+    const ownRoot = path.resolve(report.packagePath);
+    const repos = (await fs.readdir(reposRoot, { withFileTypes: true }))
+        .filter(entry => entry.isDirectory() && !entry.name.startsWith('.') && entry.name !== 'node_modules')
+        .map(entry => path.join(reposRoot, entry.name))
+        .filter(repo => path.resolve(repo) !== ownRoot);
+
+    const apis = {};
+    let scannedFiles = 0;
+    for (const repo of repos) {
+        const repoName = path.basename(repo);
+        const files = await glob(USAGE_SOURCE_GLOB, { cwd: repo, ignore: USAGE_IGNORE, absolute: true, nodir: true });
+        for (const file of files) {
+            if (file.startsWith(`${ownRoot}${path.sep}`)) continue;
+            scannedFiles++;
+            const text = await safeReadFile(file);
+            // 没出现包名或 remote 名的文件不必解析
+            if (!text || ![report.packageName, ...remotes].some(name => text.includes(name))) continue;
+            const sourceFile = ts.createSourceFile(file, text, ts.ScriptTarget.Latest, true);
+            for (const [name, times] of collectFileUsage(sourceFile, matchSpecifier)) {
+                const entry = apis[name] || (apis[name] = { count: 0, repos: {} });
+                entry.count += times;
+                entry.repos[repoName] = (entry.repos[repoName] || 0) + times;
+            }
+        }
+    }
+
+    const reExported = new Set(report.reExportedApis);
+    const undocumented = new Map();
+    const unused = new Map();
+    for (const key of BUCKETS) {
+        for (const name of report[key].list) {
+            if (reExported.has(name)) continue;
+            const target = !report[key].undocumentedList.includes(name) ? null : undocumented;
+            if (target) {
+                const row = target.get(name) || { name, buckets: [], count: apis[name]?.count || 0, repos: Object.keys(apis[name]?.repos || {}) };
+                row.buckets.push(key);
+                target.set(name, row);
+            }
+            if (!apis[name]) {
+                const row = unused.get(name) || { name, buckets: [] };
+                row.buckets.push(key);
+                unused.set(name, row);
+            }
+        }
+    }
+    return {
+        reposRoot,
+        remotes,
+        repos: repos.map(repo => path.basename(repo)),
+        scannedFiles,
+        apis,
+        rankedUndocumented: [...undocumented.values()].sort((a, b) => b.count - a.count || a.name.localeCompare(b.name)),
+        unused: [...unused.values()],
+    };
+}
+
+async function runUsage(args) {
+    const { packageRoot, ...analyzeOptions } = parseAnalyzeArgs(args);
+    const report = await analyzePackage(packageRoot, analyzeOptions);
+    const reposRoot = getFlagValue(args, '--repos') ? path.resolve(process.cwd(), getFlagValue(args, '--repos')) : path.dirname(packageRoot);
+    const remotes = (getFlagValue(args, '--remote') || '').split(',').map(name => name.trim()).filter(Boolean);
+    cliLogger.log(t('usage.scanning', { root: reposRoot, names: [report.packageName, ...remotes].join(' / ') }));
+    report.usage = await collectUsage(report, { reposRoot, remotes });
+
+    const reportPath = await saveReport(report);
+    const renderFormats = requestedRenderFormats(args);
+    if (reportPath && renderFormats.length > 0) {
+        await writeRenderedReports(report, reportPath, renderFormats);
+    }
+
+    const { repos, scannedFiles, rankedUndocumented, unused } = report.usage;
+    console.log(t('usage.heading', { repos: repos.length, files: scannedFiles }));
+    console.log(t('usage.columns', { api: 'API'.padEnd(32) }));
+    rankedUndocumented.forEach(({ name, buckets, count, repos: usedBy }) => {
+        console.log(`${String(count).padStart(5)}  ${name.padEnd(32)} ${buckets.join('+').padEnd(6)} ${usedBy.join(', ') || '-'}`);
+    });
+    console.log(t('usage.unused', { count: unused.length, names: unused.map(({ name }) => name).join(', ') || '-' }));
+}
+
+// -----------------------------------------------------------------------------
+// API 快照与 breaking change 检测 (snapshot 模式)
+// -----------------------------------------------------------------------------
+
+const DEFAULT_SNAPSHOT_FILE = 'count-docs.api.json';
+
+/**
+ * 由 (带 signatures 的) 报告生成可提交到仓库的 API 快照: 按名字排序，不含时间戳等易变字段。
+ */
+function createApiSnapshot(report, { version = null } = {}) {
+    const reExported = new Set(report.reExportedApis);
+    const apis = {};
+    for (const name of [...new Set([...report.js.list, ...report.ts.list, ...report.mf.list])].sort()) {
+        let api;
+        if (report.mf.list.includes(name)) api = { kind: 'mf-expose' };
+        else if (reExported.has(name)) api = { kind: 're-export' };
+        else api = report.signatures?.[name] || { kind: 'unknown' };
+        apis[name] = Object.fromEntries(Object.entries(api).filter(([, value]) => value !== null && value !== undefined));
+    }
+    return { schemaVersion: REPORT_SCHEMA_VERSION, packageName: report.packageName, version, apis };
+}
+
+// 按顶层逗号切分参数列表 (忽略括号、泛型和对象类型内部的逗号)
+function splitTopLevel(text) {
+    const parts = [];
+    let depth = 0;
+    let current = '';
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if ('([{<'.includes(char)) depth++;
+        else if (')]}'.includes(char) || (char === '>' && text[i - 1] !== '=')) depth--;
+        if (char === ',' && depth === 0) {
+            parts.push(current.trim());
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+    if (current.trim()) parts.push(current.trim());
+    return parts;
+}
+
+// `(a: T): R` 拆成参数列表和返回类型
+function splitCallSignature(signature) {
+    const start = signature?.indexOf('(') ?? -1;
+    if (start === -1) return null;
+    let depth = 0;
+    for (let i = start; i < signature.length; i++) {
+        if (signature[i] === '(') depth++;
+        else if (signature[i] === ')' && --depth === 0) {
+            return { prefix: signature.slice(0, start), params: splitTopLevel(signature.slice(start + 1, i)), returns: signature.slice(i + 1) };
+        }
+    }
+    return null;
+}
+
+// 只在末尾追加了可选参数 (`(a: T): R` → `(a: T, b?: U): R`) 视为兼容
+function isOptionalParameterExtension(before, after) {
+    const previous = splitCallSignature(before);
+    const next = splitCallSignature(after);
+    if (!previous || !next || previous.prefix !== next.prefix || previous.returns !== next.returns) return false;
+    if (next.params.length <= previous.params.length) return false;
+    return previous.params.every((param, index) => next.params[index] === param)
+        && next.params.slice(previous.params.length).every(param => /^(\w+\?:|\.\.\.)/.test(param));
+}
+
+/**
+ * 比较同名导出的两个签名，返回 { breaking, details }。
+ * 删除成员、成员类型变化、kind 变化、接口新增必填成员视为 breaking；新增可选参数/成员视为兼容。
+ */
+function classifySignatureChange(before, after) {
+    if (before.kind !== after.kind) return { breaking: true, details: [`kind: ${before.kind} → ${after.kind}`] };
+    const details = [];
+    let breaking = false;
+    if ((before.signature ?? null) !== (after.signature ?? null)) {
+        const compatible = after.kind === 'function' && isOptionalParameterExtension(before.signature, after.signature);
+        details.push(`signature: ${before.signature ?? '-'} → ${after.signature ?? '-'}${compatible ? t('snapshot.optionalOnly') : ''}`);
+        breaking = breaking || !compatible;
+    }
+    const byName = (members = {}) => new Map(Object.entries(members).map(([key, type]) => [key.replace(/\?$/, ''), { key, type }]));
+    const previousMembers = byName(before.members);
+    const nextMembers = byName(after.members);
+    for (const [name, { key, type }] of previousMembers) {
+        const next = nextMembers.get(name);
+        if (!next) {
+            details.push(`- ${key}: ${type}`);
+            breaking = true;
+        } else if (next.key !== key || next.type !== type) {
+            details.push(`~ ${key}: ${type} → ${next.key}: ${next.type}`);
+            breaking = true;
+        }
+    }
+    for (const [name, { key, type }] of nextMembers) {
+        if (previousMembers.has(name)) continue;
+        // 接口新增必填成员会让已有的实现无法通过编译
+        const requiredInInterface = after.kind === 'interface' && !key.endsWith('?');
+        details.push(`+ ${key}: ${type}${requiredInInterface ? t('snapshot.required') : ''}`);
+        breaking = breaking || requiredInInterface;
+    }
+    return { breaking, details };
+}
+
+/**
+ * 对比两个 API 快照，把变更分为 added / removed / changed，并给出建议的 SemVer 升级级别。
+ */
+function compareApiSnapshots(previous, current) {
+    const added = Object.entries(current.apis)
+        .filter(([name]) => !previous.apis[name])
+        .map(([name, api]) => ({ name, kind: api.kind, breaking: false }));
+    const removed = [];
+    const changed = [];
+    for (const [name, before] of Object.entries(previous.apis)) {
+        const after = current.apis[name];
+        if (!after) {
+            removed.push({ name, kind: before.kind, breaking: true });
+        } else if (JSON.stringify(before) !== JSON.stringify(after)) {
+            changed.push({ name, kind: after.kind, ...classifySignatureChange(before, after) });
+        }
+    }
+    const breaking = removed.length + changed.filter(change => change.breaking).length;
+    const suggestedBump = breaking > 0 ? 'major' : (added.length > 0 || changed.length > 0) ? 'minor' : 'patch';
+    return { from: previous.version, to: current.version, added, removed, changed, breaking, suggestedBump };
+}
+
+async function runSnapshot(args) {
+    const { packageRoot, ...analyzeOptions } = parseAnalyzeArgs(args);
+    // 快照文件本身就是产物，不另存分析报告
+    const report = await analyzePackage(packageRoot, { ...analyzeOptions, signatures: true });
+    const packageJson = await fs.readJson(path.join(packageRoot, 'package.json'));
+    const snapshot = createApiSnapshot(report, { version: packageJson.version || null });
+    const snapshotPath = getFlagValue(args, '--out') ? path.resolve(process.cwd(), getFlagValue(args, '--out')) : path.join(packageRoot, DEFAULT_SNAPSHOT_FILE);
+
+    console.log(t('snapshot.coverage', { coverage: BUCKETS.map(key => `${key} ${formatCoverage(computeCoverage(report[key].documented, report[key].total)).trim()}`).join(' · ') }));
+
+    const compareIndex = args.indexOf('--compare');
+    if (compareIndex === -1) {
+        await fs.outputFile(snapshotPath, `${JSON.stringify(snapshot, null, 2)}\n`);
+        console.log(t('snapshot.written', { path: snapshotPath, count: Object.keys(snapshot.apis).length }));
+        return;
+    }
+
+    const compareValue = args[compareIndex + 1];
+    const previousPath = compareValue && !compareValue.startsWith('--') ? path.resolve(process.cwd(), compareValue) : snapshotPath;
+    if (!(await fs.pathExists(previousPath))) {
+        console.error(t('cli.error', { message: t('snapshot.previousMissing', { path: previousPath }) }));
+        process.exit(1);
+    }
+    const result = compareApiSnapshots(await fs.readJson(previousPath), snapshot);
+    console.log(t('snapshot.heading', { from: result.from ?? t('snapshot.previous'), to: result.to ?? t('snapshot.current') }));
+    const tag = (change) => (change.breaking ? ' [breaking]' : '');
+    console.log(t('snapshot.added', { count: result.added.length }));
+    result.added.forEach(change => console.log(`  + ${change.name} (${change.kind})`));
+    console.log(t('snapshot.removed', { count: result.removed.length }));
+    result.removed.forEach(change => console.log(`  - ${change.name} (${change.kind})${tag(change)}`));
+    console.log(t('snapshot.changed', { count: result.changed.length }));
+    result.changed.forEach(change => {
+        console.log(`  ~ ${change.name} (${change.kind})${tag(change)}`);
+        change.details.forEach(detail => console.log(`      ${detail}`));
+    });
+    console.log(t('snapshot.verdict', { breaking: result.breaking, bump: result.suggestedBump }));
+    if (args.includes('--strict') && result.breaking > 0) process.exitCode = 1;
+}
+
+// -----------------------------------------------------------------------------
+// Git: 在任意版本上分析 (临时 worktree) 与 blame
+// -----------------------------------------------------------------------------
+
+const execFileAsync = promisify(execFile);
+
+async function git(args, cwd) {
+    const { stdout } = await execFileAsync('git', args, { cwd, maxBuffer: 64 * 1024 * 1024 });
+    return stdout;
+}
+
+/**
+ * 在临时 worktree 中检出 ref，以包在 worktree 中的路径调用 callback(packageRoot, commit)，结束后删除 worktree。
+ * 当前检出 (包括未提交的修改) 不受影响。
+ */
+async function withGitWorktree(packageRoot, ref, callback) {
+    let repoRoot;
+    try {
+        repoRoot = (await git(['rev-parse', '--show-toplevel'], packageRoot)).trim();
+    } catch (e) {
+        throw new Error(t('git.notRepository', { path: packageRoot, ref }));
+    }
+    let commit;
+    try {
+        commit = (await git(['rev-parse', '--verify', '--quiet', `${ref}^{commit}`], repoRoot)).trim();
+    } catch (e) {
+        throw new Error(t('git.unknownRef', { ref }));
+    }
+    const packagePath = path.relative(await fs.realpath(repoRoot), await fs.realpath(packageRoot));
+    const worktree = await fs.mkdtemp(path.join(os.tmpdir(), 'count-docs-'));
+    try {
+        await git(['worktree', 'add', '--detach', '--quiet', worktree, commit], repoRoot);
+        const worktreePackageRoot = path.join(worktree, packagePath);
+        if (!(await fs.pathExists(worktreePackageRoot))) {
+            throw new Error(t('git.missingPath', { ref, path: packagePath || '.' }));
+        }
+        return await callback(worktreePackageRoot, commit);
+    } finally {
+        await git(['worktree', 'remove', '--force', worktree], repoRoot).catch(() => {});
+        await fs.remove(worktree);
+        await git(['worktree', 'prune'], repoRoot).catch(() => {});
+    }
+}
+
+// 把报告里 worktree 下的绝对路径换回真实的包路径
+function relocateReportPaths(report, fromRoot, toRoot) {
+    const escape = (value) => JSON.stringify(value).slice(1, -1);
+    return JSON.parse(JSON.stringify(report).split(escape(fromRoot)).join(escape(toRoot)));
+}
+
+function parseBlamePorcelain(output) {
+    const lines = output.split('\n');
+    const field = (name) => lines.find(line => line.startsWith(`${name} `))?.slice(name.length + 1) ?? null;
+    const [commit, originalLine] = lines[0].split(' ');
+    // 未提交的修改在 porcelain 输出里是全 0 的提交
+    const uncommitted = /^0+$/.test(commit);
+    return { commit: uncommitted ? null : commit, originalLine: Number(originalLine), originalFile: field('filename') };
+}
+
+const GIT_LOG_FORMAT = '%H%x00%an%x00%at%x00%s';
+
+/**
+ * git blame 只给出最后改动该行的提交；从这个提交起用 `git log -L` 沿该行的历史往回追，
+ * 最早的一条才是引入声明的提交。
+ */
+async function findIntroducingCommit(filePath, line) {
+    const cwd = path.dirname(filePath);
+    const blamed = parseBlamePorcelain(await git(['blame', '--porcelain', '-L', `${line},${line}`, '--', path.basename(filePath)], cwd));
+    if (!blamed.commit) return { commit: null, author: null, date: null, summary: t('git.uncommitted') };
+    // porcelain 中的 filename 相对仓库根目录，行号是该行在 blamed.commit 中的位置
+    const repoRoot = (await git(['rev-parse', '--show-toplevel'], cwd)).trim();
+    const output = await git(['log', '--no-patch', `--format=${GIT_LOG_FORMAT}`, '-L', `${blamed.originalLine},${blamed.originalLine}:${blamed.originalFile}`, blamed.commit], repoRoot);
+    const records = output.split('\n').filter(record => record.includes('\0'));
+    const [commit, author, time, summary] = records[records.length - 1].split('\0');
+    return { commit, author, date: new Date(Number(time) * 1000).toISOString(), summary };
+}
+
+async function isGitTracked(filePath) {
+    try {
+        await git(['ls-files', '--error-unmatch', '--', path.basename(filePath)], path.dirname(filePath));
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * 对每个未写文档的导出，找到引入其声明所在行的提交、作者和时间，按时间从新到旧排序。
+ * 定位器找不到声明时 (如提交进仓库的 lib/ 文件)，只要文件受 git 跟踪，就用分析时记录的位置。
+ */
+async function blameUndocumented(report, { tsconfig = null } = {}) {
+    const tsConfig = loadTsConfig(report.packagePath, tsconfig);
+    const { locate } = createDeclarationLocator(report, tsConfig?.compilerOptions);
+    const reExportedApis = new Set(report.reExportedApis);
+    const handledNames = new Set();
+    const entries = [];
+    for (const bucketKey of ['js', 'ts']) {
+        for (const apiName of report[bucketKey].undocumentedList) {
+            if (reExportedApis.has(apiName) || handledNames.has(apiName)) continue;
+            handledNames.add(apiName);
+            let found = await locate(bucketKey, apiName);
+            if (found.reason) {
+                const recorded = report[bucketKey].locations?.[apiName];
+                const recordedPath = recorded?.file && recorded.line ? path.resolve(report.packagePath, recorded.file) : null;
+                if (recordedPath && (await isGitTracked(recordedPath))) found = { filePath: recordedPath, line: recorded.line - 1 };
+            }
+            if (found.reason) {
+                entries.push({ name: apiName, bucket: bucketKey, file: null, line: null, commit: null, reason: found.reason });
+                continue;
+            }
+            const entry = { name: apiName, bucket: bucketKey, file: path.relative(report.packagePath, found.filePath), line: found.line + 1 };
+            try {
+                Object.assign(entry, await findIntroducingCommit(found.filePath, entry.line));
+            } catch (e) {
+                Object.assign(entry, { commit: null, reason: t('git.blameFailed', { message: e.stderr?.trim() || e.message }) });
+            }
+            entries.push(entry);
+        }
+    }
+    return entries.sort((a, b) => (b.date || '').localeCompare(a.date || ''));
+}
+
+function printBlame(blame) {
+    console.log(t('git.blameHeading', { count: blame.length }));
+    blame.forEach(({ name, file, line, commit, author, date, summary, reason }) => {
+        const location = file ? `${file}:${line}` : '-';
+        const origin = commit ? `${commit.slice(0, 10)} ${date.slice(0, 10)} ${author} · ${summary}` : (reason || summary);
+        console.log(`  ${name.padEnd(28)} ${location.padEnd(32)} ${origin}`);
+    });
+}
+
+// -----------------------------------------------------------------------------
+// 批量模式 (父目录 / manifest / monorepo workspaces)
+// -----------------------------------------------------------------------------
+
+// 只解析 pnpm-workspace.yaml 中的 `packages:` 列表，避免引入 YAML 依赖
+function parsePnpmWorkspacePackages(yamlText) {
+    const patterns = [];
+    let inPackages = false;
+    for (const rawLine of yamlText.split(/\r?\n/)) {
+        const line = rawLine.replace(/\s+#.*$/, '');
+        if (!line.trim()) continue;
+        if (/^\S/.test(line)) {
+            inPackages = /^packages\s*:/.test(line);
+            continue;
+        }
+        const match = inPackages && line.match(/^\s*-\s*['"]?([^'"]+?)['"]?\s*$/);
+        if (match) patterns.push(match[1]);
+    }
+    return patterns;
+}
+
+/**
+ * 若 rootDir 是 pnpm/yarn/npm workspace 根目录，返回其中所有子包目录；否则返回 null。
+ */
+async function expandWorkspacePackages(rootDir) {
+    let patterns = [];
+    const pnpmWorkspacePath = path.join(rootDir, 'pnpm-workspace.yaml');
+    if (await fs.pathExists(pnpmWorkspacePath)) {
+        patterns = parsePnpmWorkspacePackages(await fs.readFile(pnpmWorkspacePath, 'utf-8'));
+    } else {
+        const packageJsonPath = path.join(rootDir, 'package.json');
+        if (!(await fs.pathExists(packageJsonPath))) return null;
+        const { workspaces } = await fs.readJson(packageJsonPath);
+        patterns = Array.isArray(workspaces) ? workspaces : (workspaces?.packages || []);
+    }
+    if (patterns.length === 0) return null;
+
+    const include = patterns.filter(p => !p.startsWith('!')).map(p => `${p.replace(/\/$/, '')}/package.json`);
+    const ignore = ['**/node_modules/**', ...patterns.filter(p => p.startsWith('!')).map(p => `${p.slice(1).replace(/\/$/, '')}/**`)];
+    const packageJsonFiles = await glob(include, { cwd: rootDir, ignore, absolute: true });
+    return packageJsonFiles.map(file => path.dirname(file)).sort();
+}
+
+/**
+ * 收集批量模式的目标包。
+ * input 为目录时: 自身是包则只分析它，否则分析所有含 package.json 的直接子目录；
+ * input 为 JSON 文件时: 读取 manifest，格式为 `[{ path, mfExposes?, mfConfig? }]` 或 `{ packages: [...] }`。
+ * input 不存在或 manifest 无法解析时抛出错误；manifest 中不是 npm 包的条目带上 error，在汇总中记为失败而不中断其余包。
+ */
+async function collectBatchTargets(input) {
+    const inputPath = path.resolve(process.cwd(), input);
+    if (!(await fs.pathExists(inputPath))) throw new Error(t('batch.inputMissing', { path: inputPath }));
+    const stat = await fs.stat(inputPath);
+    let targets = [];
+    if (stat.isFile()) {
+        let manifest;
+        try {
+            manifest = await fs.readJson(inputPath);
+        } catch (e) {
+            throw new Error(t('batch.manifestInvalid', { path: inputPath, message: e.message }));
+        }
+        const baseDir = path.dirname(inputPath);
+        const entries = Array.isArray(manifest) ? manifest : (manifest.packages || []);
+        targets = entries.map(entry => {
+            const { path: entryPath, mfExposes = null, mfConfig = null } = typeof entry === 'string' ? { path: entry } : entry;
+            return {
+                packageRoot: path.resolve(baseDir, entryPath),
+                mfExposes,
+                mfConfigPath: mfConfig ? path.resolve(baseDir, mfConfig) : null,
+            };
+        });
+        for (const target of targets) {
+            const isPackage = await fs.pathExists(path.join(target.packageRoot, 'package.json'))
+                || await fs.pathExists(path.join(target.packageRoot, 'pnpm-workspace.yaml'));
+            if (!isPackage) {
+                target.error = t('batch.notPackage', { path: target.packageRoot });
+            }
+        }
+    } else if (await fs.pathExists(path.join(inputPath, 'package.json'))) {
+        targets = [{ packageRoot: inputPath, mfExposes: null, mfConfigPath: null }];
+    } else {
+        const dirents = await fs.readdir(inputPath, { withFileTypes: true });
+        for (const dirent of dirents) {
+            if (!dirent.isDirectory() || dirent.name.startsWith('.') || dirent.name === 'node_modules') continue;
+            const packageRoot = path.join(inputPath, dirent.name);
+            if (await fs.pathExists(path.join(packageRoot, 'package.json'))) {
+                targets.push({ packageRoot, mfExposes: null, mfConfigPath: null });
+            }
+        }
+    }
+
+    // monorepo 根目录展开为各个子包 (显式配置了 MF 的条目保持原样)
+    const expanded = [];
+    for (const target of targets) {
+        const workspacePackages = (target.error || target.mfExposes || target.mfConfigPath) ? null : await expandWorkspacePackages(target.packageRoot);
+        if (workspacePackages) {
+            cliLogger.log(t('batch.expanded', { path: target.packageRoot, count: workspacePackages.length }));
+            workspacePackages.forEach(packageRoot => expanded.push({ packageRoot, mfExposes: null, mfConfigPath: null }));
+        } else {
+            expanded.push(target);
+        }
+    }
+    const seen = new Set();
+    return expanded.filter(target => !seen.has(target.packageRoot) && seen.add(target.packageRoot));
+}
+
+function summarizeBuckets(report) {
+    const summary = {};
+    for (const key of BUCKETS) {
+        const { total, documented, undocumented } = report[key];
+        summary[key] = { total, documented, undocumented, coverage: computeCoverage(documented, total) };
+    }
+    return summary;
+}
+
+async function runBatch(input) {
+    let targets;
+    try {
+        targets = await collectBatchTargets(input);
+    } catch (e) {
+        console.error(t('cli.error', { message: e.message }));
+        process.exitCode = 1;
+        return;
+    }
+    cliLogger.log(t('batch.found', { count: targets.length }));
+
+    const packages = [];
+    for (const [index, target] of targets.entries()) {
+        cliLogger.log(t('batch.progress', { index: index + 1, total: targets.length, path: target.packageRoot }));
+        if (target.error) {
+            console.error(t('cli.error', { message: target.error }));
+            packages.push({ packageName: path.basename(target.packageRoot), packagePath: target.packageRoot, failed: target.error });
+            continue;
+        }
+        try {
+            const report = await analyzePackage(target.packageRoot, { ...target, cache: path.join(reportsRoot, '.cache'), logger: cliLogger });
+            const reportPath = await saveReport(report);
+            packages.push({
+                packageName: report.packageName,
+                packagePath: report.packagePath,
+                ...summarizeBuckets(report),
+                errors: report.errors.length,
+                reportPath,
+            });
+        } catch (e) {
+            console.error(t('cli.error', { message: e.message }));
+            packages.push({ packageName: path.basename(target.packageRoot), packagePath: target.packageRoot, failed: e.message });
+        }
+    }
+
+    const totals = {};
+    for (const key of BUCKETS) {
+        const total = packages.reduce((sum, pkg) => sum + (pkg[key]?.total || 0), 0);
+        const documented = packages.reduce((sum, pkg) => sum + (pkg[key]?.documented || 0), 0);
+        totals[key] = { total, documented, undocumented: total - documented, coverage: computeCoverage(documented, total) };
+    }
+    const allTotal = totals.js.total + totals.ts.total + totals.mf.total;
+    const allDocumented = totals.js.documented + totals.ts.documented + totals.mf.documented;
+    const combinedReport = {
+        schemaVersion: REPORT_SCHEMA_VERSION,
+        source: path.resolve(process.cwd(), input),
+        generatedAt: new Date().toISOString(),
+        packageCount: packages.length,
+        totals,
+        coverage: computeCoverage(allDocumented, allTotal),
+        packages,
+    };
+
+    cliLogger.log(t('batch.saving'));
+    await writeReportFile(path.join(reportsRoot, '_batch'), combinedReport);
+    console.log(t('batch.heading'));
+    console.log(JSON.stringify(combinedReport, null, 2));
+}
+
+// -----------------------------------------------------------------------------
+// 终端输出 (--format summary | table | json)
+// -----------------------------------------------------------------------------
+
+const FORMATS = ['summary', 'table', 'json'];
+
+// 中日韩字符在终端中占两列
+function displayWidth(text) {
+    return [...text].reduce((width, char) => width + (/[\u1100-\u115f\u2e80-\ua4cf\uac00-\ud7a3\uf900-\ufaff\ufe30-\ufe4f\uff00-\uff60\uffe0-\uffe6]/.test(char) ? 2 : 1), 0);
+}
+
+function renderTextTable(headers, rows) {
+    const widths = headers.map((header, column) => Math.max(displayWidth(header), ...rows.map(row => displayWidth(row[column]))));
+    const pad = (text, width) => text + ' '.repeat(width - displayWidth(text));
+    return [headers, ...rows].map(row => row.map((cell, column) => pad(cell, widths[column])).join('  ').trimEnd());
+}
+
+function renderSummaryLines(report, reportPath = null) {
+    const lines = [`${report.packageName}  ${report.packagePath}`];
+    for (const key of BUCKETS) {
+        const { documented, total } = report[key];
+        const coverage = computeCoverage(documented, total);
+        lines.push(`${key.padEnd(4)}${textCoverageBar(coverage)} ${formatCoverage(coverage)}  ${documented}/${total}`);
+    }
+    lines.push(t('output.issues', { warnings: (report.warnings || []).length, errors: (report.errors || []).length }));
+    if (reportPath) lines.push(t('output.reportPath', { path: reportPath }));
+    return lines;
+}
+
+/**
+ * 把单个包的报告打印到 stdout: summary 只有各类别覆盖率，table 额外列出每个导出，json 为完整报告。
+ */
+function printReport(report, { format = 'summary', reportPath = null } = {}) {
+    if (format === 'json') {
+        console.log(JSON.stringify(report, null, 2));
+        return;
+    }
+    console.log(t('output.heading'));
+    if (format === 'table') {
+        const headers = [t('output.columnBucket'), 'API', t('output.columnDocumented'), t('output.columnQuality'), t('output.columnSource')];
+        const rows = collectExportRows(report).map(row => [row.bucket, row.name, row.documented ? '✓' : '✗', row.quality, row.source]);
+        renderTextTable(headers, rows).forEach(line => console.log(line));
+        console.log('');
+    }
+    renderSummaryLines(report, reportPath).forEach(line => console.log(line));
+    // 警告和错误的全文只在 --verbose 时输出
+    (report.warnings || []).forEach(message => cliLogger.debug(`⚠️  ${message}`));
+    (report.errors || []).forEach(message => cliLogger.debug(`❌ ${message}`));
+}
+
+// -----------------------------------------------------------------------------
+// 历史报告: diff / trend
+// -----------------------------------------------------------------------------
 
-    return newFilesToAnalyze;
+// 旧版本的报告文件名只精确到秒
+const REPORT_FILE_PATTERN = /^\d{4}-\d{2}-\d{2}_\d{2}-\d{2}-\d{2}(-\d{3})?\.json$/;
+
+function reportTimestampLabel(reportPath) {
+    const [date, time] = path.basename(reportPath, '.json').split('_');
+    if (!time) return date;
+    const [hours, minutes, seconds, milliseconds] = time.split('-');
+    return `${date} ${hours}:${minutes}:${seconds}${milliseconds ? `.${milliseconds}` : ''}`;
 }
 
 /**
- * 2. 分析 TS 文件 (.ts, .tsx, .d.ts)
+ * target 可以是包路径 (读取 package.json 的 name)，也可以是 analysis_reports 下的目录名。
  */
-async function parseTsFile(filePath, results) {
-    const newFilesToAnalyze = new Set();
-    const relativePathsToResolve = [];
-    const packageRoot = results.packagePath ? path.resolve(results.packagePath) : null;
-    
-    if (!filePath || !(await fs.pathExists(filePath))) {
-        results.errors.push(`Could not find TS entry file: ${filePath}`);
-        return newFilesToAnalyze;
-    }
-    
-    let program;
-    try {
-        program = ts.createProgram([filePath], defaultTsCompilerOptions);
-    } catch (e) {
-        results.errors.push(`TS Program creation failed: ${e.message}`);
-        return newFilesToAnalyze;
-    }
-    
-    const sourceFile = program.getSourceFile(filePath);
-    if (!sourceFile) {
-        results.errors.push(`TS SourceFile not found: ${filePath}`);
-        return newFilesToAnalyze;
+async function resolveReportDir(target) {
+    const packageJsonPath = path.join(path.resolve(process.cwd(), target), 'package.json');
+    if (await fs.pathExists(packageJsonPath)) {
+        const packageJson = await fs.readJson(packageJsonPath);
+        const packageName = packageJson.name || path.basename(path.dirname(packageJsonPath));
+        return path.join(reportsRoot, toSafeProjectName(packageName));
     }
+    return path.join(reportsRoot, toSafeProjectName(target));
+}
 
-    // 阶段 1: 同步收集 (用于递归)
-    ts.forEachChild(sourceFile, (node) => {
-        if (ts.isExportDeclaration(node) && node.moduleSpecifier) {
-            const relativePath = node.moduleSpecifier.text;
-            if (relativePath.startsWith('.')) {
-                const exportClause = node.exportClause ?? null;
-                const isExportAll = !exportClause;
-                if (isExportAll) {
-                    relativePathsToResolve.push(relativePath);
-                }
-            }
-        }
-    });
-
-    const checker = program.getTypeChecker();
-    const moduleSymbol = checker.getSymbolAtLocation(sourceFile);
-    if (moduleSymbol) {
-        const exports = checker.getExportsOfModule(moduleSymbol);
-        
-        // --- 变更 (V12): 关键的区分逻辑 ---
-        exports.forEach(symbol => {
-            if (symbol.name.startsWith('__')) return;
-            const apiName = symbol.name;
+// 按时间升序返回某个包的所有报告
+async function listReports(reportDir) {
+    if (!(await fs.pathExists(reportDir))) return [];
+    const files = await fs.readdir(reportDir);
+    // 去掉扩展名再排序，同一秒内旧格式 (无毫秒) 的报告排在前面
+    const timestamps = files.filter(file => REPORT_FILE_PATTERN.test(file)).map(file => path.basename(file, '.json'));
+    return timestamps.sort().map(timestamp => path.join(reportDir, `${timestamp}.json`));
+}
 
-            const targetSymbol = (symbol.flags & ts.SymbolFlags.Alias)
-                ? checker.getAliasedSymbol(symbol) || symbol
-                : symbol;
+function bucketCoverage(report) {
+    const coverage = {};
+    let allTotal = 0;
+    let allDocumented = 0;
+    for (const key of BUCKETS) {
+        const { total = 0, documented = 0 } = report[key] || {};
+        coverage[key] = computeCoverage(documented, total);
+        allTotal += total;
+        allDocumented += documented;
+    }
+    coverage.overall = computeCoverage(allDocumented, allTotal);
+    return coverage;
+}
 
-            const isInternalSymbol = symbolBelongsToPackage(targetSymbol, packageRoot);
-            if (!isInternalSymbol) {
-                results.reExportedApis.add(apiName);
-            }
+function diffReports(oldReport, newReport) {
+    const diff = {};
+    for (const key of BUCKETS) {
+        const oldBucket = oldReport[key] || { list: [], documentedList: [] };
+        const newBucket = newReport[key] || { list: [], documentedList: [] };
+        const oldList = new Set(oldBucket.list);
+        const newList = new Set(newBucket.list);
+        const oldDocs = new Set(oldBucket.documentedList);
+        const newDocs = new Set(newBucket.documentedList);
+        const kept = [...newList].filter(name => oldList.has(name));
+        diff[key] = {
+            added: [...newList].filter(name => !oldList.has(name)),
+            removed: [...oldList].filter(name => !newList.has(name)),
+            newlyDocumented: kept.filter(name => newDocs.has(name) && !oldDocs.has(name)),
+            newlyUndocumented: kept.filter(name => !newDocs.has(name) && oldDocs.has(name)),
+        };
+    }
+    const before = bucketCoverage(oldReport);
+    const after = bucketCoverage(newReport);
+    diff.coverage = Object.fromEntries(Object.keys(after).map(key => [key, {
+        before: before[key],
+        after: after[key],
+        delta: (before[key] === null || after[key] === null) ? null : Number((after[key] - before[key]).toFixed(2)),
+    }]));
+    return diff;
+}
 
-            const typeOnlyExport = isTypeOnlyExportSymbol(symbol);
+function formatCoverage(value) {
+    return value === null ? '   -   ' : `${value.toFixed(2).padStart(6)}%`;
+}
 
-            const comments = targetSymbol.getDocumentationComment(checker);
-            const hasDocs = hasValidJSDoc(comments);
-            
-            // 检查它是什么类型的导出
-            const isValue = !typeOnlyExport && (targetSymbol.flags & ts.SymbolFlags.Value); // Class, Function, Var
-            const isType = typeOnlyExport || (targetSymbol.flags & ts.SymbolFlags.Type);  // Interface, Type Alias
-            
-            if (isValue) {
-                results.js.list.push(apiName);
-                if (!hasDocs) results.js.undocumentedList.push(apiName);
-                else results.js.documentedList.push(apiName);
-            }
-            
-            if (isType) {
-                results.ts.list.push(apiName);
-                if (!hasDocs) results.ts.undocumentedList.push(apiName);
-                else results.ts.documentedList.push(apiName);
-            }
-            // --- 变更结束 ---
-        });
+async function runDiff(args) {
+    let oldPath;
+    let newPath;
+    if (args.length >= 2) {
+        [oldPath, newPath] = args.map(arg => path.resolve(process.cwd(), arg));
     } else {
-        results.errors.push(`Could not find module symbol for: ${filePath}`);
+        const reports = await listReports(await resolveReportDir(args[0]));
+        if (reports.length < 2) {
+            console.error(t('cli.error', { message: t('diff.notEnough', { target: args[0] }) }));
+            process.exit(1);
+        }
+        [oldPath, newPath] = reports.slice(-2);
     }
 
-    // 阶段 2: 异步解析
-    const baseDir = path.dirname(filePath);
-    // V12: TS 文件可以递归到 JS 或 TS
-    const extensions = ['.js', '.mjs', '.cjs', '.ts', '.tsx', '.d.ts'];
-    for (const relativePath of relativePathsToResolve) {
-        const newFile = await resolveModulePath(baseDir, relativePath, extensions);
-        if (newFile) newFilesToAnalyze.add(newFile);
+    const oldReport = await fs.readJson(oldPath);
+    const newReport = await fs.readJson(newPath);
+    const diff = diffReports(oldReport, newReport);
+    if (cliOutput.format === 'json') {
+        console.log(JSON.stringify({ from: oldPath, to: newPath, ...diff }, null, 2));
+        return;
     }
-    
-    return newFilesToAnalyze;
-}
 
-
-// processExposesObjectLiteral (无变化)
-async function processExposesObjectLiteral(exposesObj, packageRoot, results, fileQueue) {
-    for (const [key, value] of Object.entries(exposesObj)) {
-        const apiName = key;
-        const filePath = value;
-        results.mf.list.push(apiName);
-        results.mf.undocumentedList.push(apiName);
-        if (typeof filePath === 'string') {
-            const absolutePath = path.resolve(packageRoot, filePath);
-            if (await fs.pathExists(absolutePath)) {
-                fileQueue.add(absolutePath); // V12: 添加到统一队列
-            } else {
-                results.errors.push(`MF exposes (from JSON) missing file: ${filePath} (resolved to ${absolutePath})`);
-            }
+    const formatDelta = (delta) => (delta === null ? '-' : `${delta >= 0 ? '+' : ''}${delta}`);
+    console.log(t('diff.comparing', { from: oldPath, to: newPath }));
+    if (cliOutput.format === 'table') {
+        for (const key of BUCKETS) {
+            const { added, removed, newlyDocumented, newlyUndocumented } = diff[key];
+            const { before, after, delta } = diff.coverage[key];
+            console.log(`\n${t('diff.coverage', { bucket: key, before: formatCoverage(before), after: formatCoverage(after), delta: formatDelta(delta) })}`);
+            console.log(t('diff.counts', { added: added.length, removed: removed.length, documented: newlyDocumented.length, undocumented: newlyUndocumented.length }));
         }
     }
+    const { before, after, delta } = diff.coverage.overall;
+    console.log(`\n${t('diff.coverage', { bucket: t('diff.overall'), before: formatCoverage(before), after: formatCoverage(after), delta: formatDelta(delta) })}`);
 }
 
-// parseMfExports (无变化, 除了 V12 队列)
-async function parseMfExports(packageRoot, results, fileQueue, explicitConfigPath) {
-    let configFiles = [];
-    if (explicitConfigPath) {
-        if (await fs.pathExists(explicitConfigPath)) {
-            configFiles = [explicitConfigPath];
-            console.log(`[MF 分析] 使用显式路径: ${explicitConfigPath}`);
-        } else {
-            results.errors.push(`提供的 MF 配置文件路径未找到: ${explicitConfigPath}`);
-            return;
-        }
-    } else {
-        console.log('[MF 分析] 正在自动搜索 webpack/mf 配置文件...');
-        configFiles = await glob('**/{webpack,webpack.config,mf.config}.*.{js,mjs,cjs}', {
-            cwd: packageRoot,
-            ignore: 'node_modules/**',
-            absolute: true,
-        });
+async function runTrend(args) {
+    const reports = await listReports(await resolveReportDir(args[0]));
+    if (reports.length === 0) {
+        console.error(t('cli.error', { message: t('report.notFound', { target: args[0] }) }));
+        process.exit(1);
     }
-    if (configFiles.length === 0) {
-        if (!explicitConfigPath) { console.log('[MF 分析] 未自动找到配置文件。'); }
-        return;
+    console.log(t('trend.count', { count: reports.length }));
+    console.log(t('trend.columns', { buckets: BUCKETS.map(h => h.padStart(10)).join('') }));
+    for (const reportPath of reports) {
+        const report = await fs.readJson(reportPath);
+        const coverage = bucketCoverage(report);
+        const columns = [...BUCKETS, 'overall'].map(key => formatCoverage(coverage[key])).join('   ');
+        console.log(`${reportTimestampLabel(reportPath).padEnd(23)}   ${columns}`);
     }
-    const processExposesObject = async (exposesObject, packageRoot, results, fileQueue) => {
-        if (!exposesObject || exposesObject.type !== 'ObjectExpression') return;
-        for (const prop of exposesObject.properties) {
-            if (prop.type !== 'ObjectProperty') continue; 
-            const apiName = prop.key.name || prop.key.value;
-            if (!apiName) continue;
-            results.mf.list.push(apiName);
-            results.mf.undocumentedList.push(apiName);
-            if (prop.value.type === 'StringLiteral') {
-                const filePath = prop.value.value;
-                const absolutePath = path.resolve(packageRoot, filePath);
-                if (await fs.pathExists(absolutePath)) {
-                    fileQueue.add(absolutePath); // V12: 添加到统一队列
-                } else {
-                    results.errors.push(`MF exposes missing file: ${filePath} (resolved to ${absolutePath})`);
-                }
-            }
-        }
-    };
-    const isExposesObject = (objectNode) => {
-        if (!objectNode || objectNode.type !== 'ObjectExpression') return false;
-        if (objectNode.properties.length === 0) return false;
-        let exposeLikeKeys = 0;
-        let totalKeys = 0;
-        for (const prop of objectNode.properties) {
-            if (prop.type === 'ObjectProperty') {
-                totalKeys++;
-                const keyName = prop.key.name || prop.key.value;
-                if (keyName && keyName.startsWith('./')) {
-                    exposeLikeKeys++;
-                }
-            }
+}
+
+async function runReport(args) {
+    const target = args[0];
+    let reportPath = path.resolve(process.cwd(), target);
+    if (!reportPath.endsWith('.json')) {
+        const reports = await listReports(await resolveReportDir(target));
+        if (reports.length === 0) {
+            console.error(t('cli.error', { message: t('report.notFound', { target }) }));
+            process.exit(1);
         }
-        return totalKeys > 0 && (exposeLikeKeys / totalKeys > 0.5);
-    };
-    for (const configPath of configFiles) {
-        const code = await safeReadFile(configPath);
-        if (!code) {
-            results.errors.push(`Could not read Webpack config: ${configPath}`);
-            continue;
+        reportPath = reports[reports.length - 1];
+    }
+    const report = await fs.readJson(reportPath);
+    const formats = requestedRenderFormats(args);
+    // 指定 --format 时打印到终端，只有显式要求时才额外生成文件
+    if (cliOutput.format) {
+        printReport(report, { format: cliOutput.format, reportPath });
+        if (formats.length === 0) return;
+    }
+    await writeRenderedReports(report, reportPath, formats.length > 0 ? formats : ['html', 'md']);
+}
+
+// -----------------------------------------------------------------------------
+// CI 检查模式 (阈值 + baseline + 退出码)
+// -----------------------------------------------------------------------------
+
+const DEFAULT_BASELINE_FILE = 'count-docs.baseline.json';
+
+function getFlagValue(args, flag) {
+    const index = args.indexOf(flag);
+    return (index !== -1 && args[index + 1] && !args[index + 1].startsWith('--')) ? args[index + 1] : null;
+}
+
+function parseThreshold(args, flag) {
+    const value = getFlagValue(args, flag);
+    if (value === null) return null;
+    const threshold = Number(value);
+    if (Number.isNaN(threshold) || threshold < 0 || threshold > 100) {
+        throw new Error(t('check.thresholdInvalid', { flag, value }));
+    }
+    return threshold;
+}
+
+/**
+ * 对比报告与 baseline / 阈值，返回失败原因列表 (空数组表示通过)。
+ * baseline 记录已知未文档化的 API: `{ "js": [...], "ts": [...], "mf": [...] }`。
+ */
+function evaluateCheck(report, { thresholds, baseline, strict }) {
+    const failures = [];
+    const notes = [];
+    for (const key of BUCKETS) {
+        const known = new Set(baseline?.[key] || []);
+        const newUndocumented = report[key].undocumentedList.filter(name => !known.has(name));
+        if (newUndocumented.length > 0) {
+            failures.push(t('check.newUndocumented', { bucket: key, count: newUndocumented.length, names: newUndocumented.join(', ') }));
         }
-        let ast;
-        try { ast = babelParse(code, { sourceType: 'module' }); }
-        catch (e) {
-            try { ast = babelParse(code, { sourceType: 'script' }); }
-            catch (e2) {
-                results.errors.push(`Babel parse error in ${configPath}: ${e2.message}`);
-                continue;
-            }
+        const undocumented = new Set(report[key].undocumentedList);
+        const resolved = [...known].filter(name => !undocumented.has(name));
+        if (resolved.length > 0) {
+            notes.push(t('check.resolved', { bucket: key, count: resolved.length, names: resolved.join(', ') }));
         }
-        const traverse = babelTraverse.default;
-        let foundExposes = false;
-        traverse(ast, {
-            ObjectProperty(path) {
-                const keyName = path.node.key.name || path.node.key.value;
-                if (keyName === 'exposes' && path.node.value.type === 'ObjectExpression') {
-                    console.log(`[MF 分析] 在 ${configPath} 中找到 'exposes' 键。`);
-                    processExposesObject(path.node.value, packageRoot, results, fileQueue);
-                    foundExposes = true;
-                    path.stop();
-                }
-            }
-        });
-        if (!foundExposes) {
-            console.log(`[MF 分析] 未在 ${configPath} 中找到 'exposes' 键，将进行启发式搜索...`);
-            traverse(ast, {
-                ObjectExpression(path) {
-                    if (isExposesObject(path.node)) {
-                        console.log(`[MF 分析] 启发式搜索在 ${configPath} 中找到一个疑似 'exposes' 的对象。`);
-                        processExposesObject(path.node, packageRoot, results, fileQueue);
-                        foundExposes = true;
-                        path.stop(); 
-                    }
-                }
-            });
+
+        const coverage = computeCoverage(report[key].documented, report[key].total);
+        const threshold = thresholds[key];
+        if (threshold !== null && coverage !== null && coverage < threshold) {
+            failures.push(t('check.belowThreshold', { bucket: key, coverage, threshold }));
         }
     }
+    if (strict && report.errors.length > 0) {
+        failures.push(t('check.strictErrors', { count: report.errors.length, errors: report.errors.join('\n    ') }));
+    }
+    return { failures, notes };
 }
 
+async function runCheck(args) {
+    const { packageRoot, ...analyzeOptions } = parseAnalyzeArgs(args);
+    let thresholds;
+    try {
+        const fallback = parseThreshold(args, '--min');
+        thresholds = Object.fromEntries(BUCKETS.map(key => [key, parseThreshold(args, `--min-${key}`) ?? fallback]));
+    } catch (e) {
+        console.error(t('cli.error', { message: e.message }));
+        process.exit(1);
+    }
+    // 与 --out、--compare 等路径参数一样相对当前目录；默认文件在包根目录
+    const baselinePath = getFlagValue(args, '--baseline')
+        ? path.resolve(process.cwd(), getFlagValue(args, '--baseline'))
+        : path.join(packageRoot, DEFAULT_BASELINE_FILE);
+    const strict = args.includes('--strict');
 
-// findEntryPoints (无变化)
-async function findEntryPoints(packageJson, packageRoot) {
-    const entryPoints = { js: new Set(), ts: new Set() };
-    if (packageJson.types) { entryPoints.ts.add(path.resolve(packageRoot, packageJson.types)); }
-    if (packageJson.main) { entryPoints.js.add(path.resolve(packageRoot, packageJson.main)); }
-    if (packageJson.module) { entryPoints.js.add(path.resolve(packageRoot, packageJson.module)); }
-    if (packageJson.exports) {
-        const exports = packageJson.exports;
-        const entries = typeof exports === 'string' ? { '.': exports } : exports;
-        for (const [key, value] of Object.entries(entries)) {
-            let entry = value;
-            if (typeof value === 'object' && value !== null) {
-                entry = value.import || value.require || value.default || null;
-                if (value.types) { entryPoints.ts.add(path.resolve(packageRoot, value.types)); }
-            }
-            if (typeof entry === 'string') {
-                const ext = path.extname(entry);
-                if (ext === '.d.ts') { entryPoints.ts.add(path.resolve(packageRoot, entry)); }
-                else if (['.js', '.mjs', '.cjs'].includes(ext)) { entryPoints.js.add(path.resolve(packageRoot, entry)); }
-            }
-        }
+    let report;
+    try {
+        report = await analyzePackage(packageRoot, analyzeOptions);
+    } catch (e) {
+        console.error(t('cli.error', { message: e.message }));
+        process.exit(1);
+    }
+
+    if (args.includes('--update-baseline')) {
+        const baseline = Object.fromEntries(BUCKETS.map(key => [key, [...report[key].undocumentedList].sort()]));
+        await fs.writeJson(baselinePath, baseline, { spaces: 2 });
+        console.log(t('check.baselineUpdated', { path: baselinePath }));
+        return;
+    }
+
+    let baseline = null;
+    if (await fs.pathExists(baselinePath)) {
+        baseline = await fs.readJson(baselinePath);
+        cliLogger.log(t('check.usingBaseline', { path: baselinePath }));
+    } else {
+        cliLogger.log(t('check.noBaseline', { path: baselinePath }));
+    }
+
+    const { failures, notes } = evaluateCheck(report, { thresholds, baseline, strict });
+    if (failures.length > 0) process.exitCode = 1;
+    if (args.includes('--annotations')) {
+        // 有 baseline 时只标注新增的未文档化导出
+        const only = baseline
+            ? new Set(BUCKETS.flatMap(key => report[key].undocumentedList.filter(name => !(baseline[key] || []).includes(name))))
+            : null;
+        renderGithubAnnotations(report, { only }).forEach(line => console.log(line));
     }
-    if (entryPoints.ts.size === 0 && entryPoints.js.size > 0) {
-        const firstJs = [...entryPoints.js][0];
-        const potentialTs = firstJs.replace(/\.js$/, '.d.ts');
-        if (await fs.pathExists(potentialTs)) { entryPoints.ts.add(potentialTs); }
+    if (cliOutput.format === 'json') {
+        const buckets = Object.fromEntries(BUCKETS.map(key => [key, {
+            documented: report[key].documented,
+            total: report[key].total,
+            coverage: computeCoverage(report[key].documented, report[key].total),
+            threshold: thresholds[key],
+        }]));
+        console.log(JSON.stringify({ passed: failures.length === 0, buckets, errors: report.errors, failures, notes }, null, 2));
+        return;
     }
-    const filterExists = async (paths) => {
-        const checked = await Promise.all([...paths].map(async p => await fs.pathExists(p) ? p : null));
-        return new Set(checked.filter(Boolean));
+    if (cliOutput.format === 'table') {
+        console.log(t('check.heading'));
+        for (const key of BUCKETS) {
+            const coverage = computeCoverage(report[key].documented, report[key].total);
+            const threshold = thresholds[key] === null ? '' : t('check.threshold', { threshold: thresholds[key] });
+            console.log(t('check.bucket', { bucket: key, documented: report[key].documented, total: report[key].total, coverage: formatCoverage(coverage).trim(), threshold }));
+        }
+        if (!strict && report.errors.length > 0) {
+            console.log(t('check.errorsIgnored', { count: report.errors.length }));
+        }
+        notes.forEach(note => console.log(`ℹ️  ${note}`));
     }
-    entryPoints.js = await filterExists(entryPoints.js);
-    entryPoints.ts = await filterExists(entryPoints.ts);
-    return entryPoints;
+    if (failures.length > 0) {
+        failures.forEach(failure => console.error(`❌ ${failure}`));
+        if (cliOutput.format === 'summary') console.error(t('check.failed', { count: failures.length }));
+        return;
+    }
+    console.log(t('check.passed'));
 }
 
 // -----------------------------------------------------------------------------
-// 主执行函数 (V12 架构重构)
+// 主执行函数
 // -----------------------------------------------------------------------------
 
-async function main() {
-    // --- 解析参数 (无变化) ---
-    const packagePathInput = process.argv[2];
+// 把 `<path> [--mf-exposes '{...}'] [--mf-config file] ...` 转成 analyzePackage 的参数
+function parseAnalyzeArgs(args) {
     let mfConfigPathInput = null;
     let mfExposesInput = null; 
-    const mfFlagIndex = process.argv.indexOf('--mf-config');
-    const mfExposesFlagIndex = process.argv.indexOf('--mf-exposes'); 
-    if (mfExposesFlagIndex !== -1 && process.argv[mfExposesFlagIndex + 1]) {
-        mfExposesInput = process.argv[mfExposesFlagIndex + 1];
-    } else if (mfFlagIndex !== -1 && process.argv[mfFlagIndex + 1]) {
-        mfConfigPathInput = process.argv[mfFlagIndex + 1];
-    }
-    if (!packagePathInput) {
-        console.error('错误: 请提供一个本地包的路径。');
-        console.log('用法: node analyze.js <path> [--mf-exposes \'{...}\'] [--mf-config /path/to/file.js]');
+    const mfFlagIndex = args.indexOf('--mf-config');
+    const mfExposesFlagIndex = args.indexOf('--mf-exposes'); 
+    if (mfExposesFlagIndex !== -1 && args[mfExposesFlagIndex + 1]) {
+        mfExposesInput = args[mfExposesFlagIndex + 1];
+    } else if (mfFlagIndex !== -1 && args[mfFlagIndex + 1]) {
+        mfConfigPathInput = args[mfFlagIndex + 1];
+    }
+    return {
+        packageRoot: path.resolve(process.cwd(), args[0]),
+        mfExposes: mfExposesInput,
+        mfConfigPath: mfConfigPathInput ? path.resolve(process.cwd(), mfConfigPathInput) : null,
+        members: args.includes('--members'),
+        source: args.includes('--source'),
+        sourceEntry: getFlagValue(args, '--source-entry'),
+        tsconfig: getFlagValue(args, '--tsconfig') ? path.resolve(process.cwd(), getFlagValue(args, '--tsconfig')) : null,
+        cache: args.includes('--no-cache') ? false : path.join(reportsRoot, '.cache'),
+        config: getFlagValue(args, '--config') ? path.resolve(process.cwd(), getFlagValue(args, '--config')) : null,
+        ref: getFlagValue(args, '--ref'),
+        blame: args.includes('--blame'),
+        logger: cliLogger,
+    };
+}
+
+async function runAnalyze(args) {
+    const { packageRoot, ...analyzeOptions } = parseAnalyzeArgs(args);
+
+    let finalReport;
+    try {
+        finalReport = await analyzePackage(packageRoot, analyzeOptions);
+    } catch (e) {
+        console.error(t('cli.error', { message: e.message }));
         process.exit(1);
     }
-    const packageRoot = path.resolve(process.cwd(), packagePathInput);
-    const packageJsonPath = path.join(packageRoot, 'package.json');
-    let absoluteMfConfigPath = null;
-    if (mfConfigPathInput) {
-        absoluteMfConfigPath = path.resolve(process.cwd(), mfConfigPathInput);
+
+    const reportPath = await saveReport(finalReport);
+    const renderFormats = requestedRenderFormats(args);
+    if (reportPath && renderFormats.length > 0) {
+        await writeRenderedReports(finalReport, reportPath, renderFormats);
     }
-    // --- 结束 ---
 
-    console.log(`[1/4] 正在分析本地包: ${packageRoot}`);
-    if (!(await fs.pathExists(packageJsonPath))) {
-        console.error(`错误: 在 ${packageJsonPath} 未找到 package.json。`);
-        process.exit(1);
+    // --- 打印报告 ---
+    printReport(finalReport, { format: cliOutput.format, reportPath });
+    if (finalReport.blame && cliOutput.format !== 'json') printBlame(finalReport.blame);
+    if (args.includes('--annotations')) {
+        renderGithubAnnotations(finalReport).forEach(line => console.log(line));
     }
-    const packageJson = await fs.readJson(packageJsonPath);
-    const packageName = packageJson.name || path.basename(packageRoot);
-    
-    const results = {
-        packageName: packageName, packagePath: packageRoot,
-        js: { total: 0, undocumented: 0, documented: 0, list: [], undocumentedList: [], documentedList: [] },
-        ts: { total: 0, undocumented: 0, documented: 0, list: [], undocumentedList: [], documentedList: [] },
-        mf: { total: 0, undocumented: 0, documented: 0, list: [], undocumentedList: [], documentedList: [] },
-        reExports: new Set(), reExportedApis: new Set(),
-        entryPoints: { js: [], ts: [] }, errors: [],
-    };
+}
 
-    try {
-        console.log('[2/4] 正在分析入口点 (package.json 和 MF)...');
-        const entryPoints = await findEntryPoints(packageJson, packageRoot);
-        
-        // --- 变更 (V12): 统一的工作队列 ---
-        const fileQueue = new Set([...entryPoints.js, ...entryPoints.ts]);
+// 选项表: null 为开关，`<x>` 必须带值，`[x]` 的值可以省略
+const ANALYZE_OPTIONS = {
+    '--mf-exposes': '<json>',
+    '--mf-config': '<file>',
+    '--members': null,
+    '--source': null,
+    '--source-entry': '<file>',
+    '--tsconfig': '<file>',
+    '--config': '<file>',
+    '--ref': '<git-ref>',
+    '--blame': null,
+    '--no-cache': null,
+};
+const RENDER_OPTIONS = { '--html': null, '--md': null, '--sarif': null };
+const FORMAT_OPTION = { '--format': `<${FORMATS.join('|')}>` };
+const GLOBAL_OPTIONS = { '--lang': `<${LANGUAGES.join('|')}>`, '--quiet': null, '--verbose': null, '--help': null };
 
-        if (mfExposesInput) {
-            console.log('[MF 分析] 使用显式 --mf-exposes JSON...');
-            try {
-                const jsonSafeInput = mfExposesInput.replace(/([{,]\s*)(\w+)(\s*:)/g, '$1"$2"$3'); 
-                const exposesObj = JSON.parse(jsonSafeInput);
-                await processExposesObjectLiteral(exposesObj, packageRoot, results, fileQueue);
-            } catch (e) {
-                results.errors.push(`--mf-exposes 处理失败 (可能是 JSON 解析或内部错误): ${e.message}`);
-                console.error(`解析失败的输入: ${mfExposesInput}`);
-            }
+/**
+ * 子命令表。args 为位置参数 (`<x>` 必填，`[x]` 可选)；format 为 --format 的默认值，
+ * null 表示默认不打印报告；outFile 表示 --out 是输出文件而不是报告目录。
+ */
+const COMMANDS = {
+    analyze: {
+        args: ['<path>'],
+        format: 'summary',
+        options: { ...ANALYZE_OPTIONS, ...RENDER_OPTIONS, '--annotations': null, '--out': '<dir>', ...FORMAT_OPTION },
+        run: runAnalyze,
+    },
+    report: {
+        args: ['<report.json | path | report-name>'],
+        format: null,
+        options: { ...RENDER_OPTIONS, '--out': '<dir>', ...FORMAT_OPTION },
+        run: runReport,
+    },
+    diff: {
+        args: ['<path | report-name | old.json>', '[new.json]'],
+        format: 'table',
+        options: { '--out': '<dir>', ...FORMAT_OPTION },
+        run: runDiff,
+    },
+    check: {
+        args: ['<path>'],
+        format: 'table',
+        options: {
+            ...ANALYZE_OPTIONS, '--min': '<n>', '--min-js': '<n>', '--min-ts': '<n>', '--min-mf': '<n>',
+            '--baseline': '<file>', '--update-baseline': null, '--strict': null, '--annotations': null, '--out': '<dir>', ...FORMAT_OPTION,
+        },
+        run: runCheck,
+    },
+    batch: { args: ['<parent-dir | manifest.json>'], options: { '--out': '<dir>' }, run: args => runBatch(args[0]) },
+    trend: { args: ['<path | report-name>'], options: { '--out': '<dir>' }, run: runTrend },
+    stubs: { args: ['<path>'], outFile: true, options: { ...ANALYZE_OPTIONS, '--out': '<file>' }, run: runStubs },
+    usage: {
+        args: ['<path>'],
+        options: { ...ANALYZE_OPTIONS, ...RENDER_OPTIONS, '--repos': '<dir>', '--remote': '<name[,name]>', '--out': '<dir>' },
+        run: runUsage,
+    },
+    snapshot: {
+        args: ['<path>'],
+        outFile: true,
+        options: { ...ANALYZE_OPTIONS, '--out': '<file>', '--compare': '[old.json]', '--strict': null },
+        run: runSnapshot,
+    },
+};
+
+/**
+ * 按子命令的选项表解析参数；未知选项、缺少的值和多余的位置参数都作为错误返回 (error 字段)。
+ * 第一个参数不是子命令时按 analyze 处理。
+ */
+function parseCommandLine(argv) {
+    // 通用选项可以写在子命令前面: `node analyze.js --lang en check .`
+    let commandIndex = 0;
+    while (commandIndex < argv.length) {
+        const [flag, inlineValue] = argv[commandIndex].split('=');
+        if (!Object.hasOwn(GLOBAL_OPTIONS, flag) && flag !== '-h') break;
+        commandIndex += GLOBAL_OPTIONS[flag] && inlineValue === undefined ? 2 : 1;
+    }
+    const explicit = Object.hasOwn(COMMANDS, argv[commandIndex]);
+    const name = explicit ? argv[commandIndex] : 'analyze';
+    const command = COMMANDS[name];
+    const tokens = explicit ? argv.filter((arg, index) => index !== commandIndex) : argv;
+    const options = { ...command.options, ...GLOBAL_OPTIONS };
+    const parsed = { name, explicit, command, positionals: [], flags: {}, error: null };
+    const fail = (error) => ({ ...parsed, error });
+
+    for (let index = 0; index < tokens.length; index++) {
+        const token = tokens[index];
+        if (!token.startsWith('-') || token === '-') {
+            parsed.positionals.push(token);
+            continue;
+        }
+        // 同时支持 `--flag value` 和 `--flag=value`
+        const equalsIndex = token.indexOf('=');
+        const flag = token === '-h' ? '--help' : (equalsIndex === -1 ? token : token.slice(0, equalsIndex));
+        const inlineValue = equalsIndex === -1 ? null : token.slice(equalsIndex + 1);
+        if (!Object.hasOwn(options, flag)) return fail(t('cli.unknownOption', { command: name, flag }));
+        const placeholder = options[flag];
+        const next = tokens[index + 1];
+        if (placeholder === null) {
+            if (inlineValue !== null) return fail(t('cli.unexpectedValue', { flag }));
+            parsed.flags[flag] = true;
+        } else if (inlineValue !== null) {
+            parsed.flags[flag] = inlineValue;
+        } else if (next !== undefined && !next.startsWith('--')) {
+            parsed.flags[flag] = next;
+            index++;
+        } else if (placeholder.startsWith('[')) {
+            parsed.flags[flag] = true;
         } else {
-            await parseMfExports(packageRoot, results, fileQueue, absoluteMfConfigPath);
+            return fail(t('cli.missingValue', { flag }));
         }
-        
-        // V12: entryPoints 只是为了报告，不再用于 js/ts 队列
-        results.entryPoints.js = [...entryPoints.js];
-        results.entryPoints.ts = [...entryPoints.ts];
-        
-        console.log('[3/4] 正在递归分析所有找到的 API ...');
-
-        // --- 变更 (V12): 统一的递归分析循环 ---
-        const processedFiles = new Set();
-        while (fileQueue.size > 0) {
-            const currentFile = fileQueue.values().next().value;
-            fileQueue.delete(currentFile);
-            if (processedFiles.has(currentFile)) continue;
-            processedFiles.add(currentFile);
-            
-            const ext = path.extname(currentFile);
-            let newFiles = new Set();
-            
-            if (['.js', '.mjs', '.cjs'].includes(ext)) {
-                newFiles = await parseJsFile(currentFile, results);
-            } else if (['.ts', '.tsx', '.d.ts'].includes(ext)) {
-                newFiles = await parseTsFile(currentFile, results);
-            } else {
-                results.errors.push(`未知的入口文件类型: ${currentFile}`);
-            }
-            
-            newFiles.forEach(file => fileQueue.add(file));
+    }
+    if (parsed.flags['--help']) return parsed;
+
+    const required = command.args.filter(arg => arg.startsWith('<'));
+    if (parsed.positionals.length < required.length) {
+        return fail(t('cli.missingArgument', { name: required[parsed.positionals.length] }));
+    }
+    if (parsed.positionals.length > command.args.length) {
+        return fail(t('cli.unexpectedArgument', { arg: parsed.positionals[command.args.length] }));
+    }
+    for (const [flag, choices] of [['--format', FORMATS], ['--lang', LANGUAGES]]) {
+        const value = parsed.flags[flag];
+        if (value !== undefined && !choices.includes(value)) {
+            return fail(t('cli.invalidChoice', { flag, choices: choices.join(' | '), value }));
         }
-        // --- 变更结束 ---
+    }
+    if (parsed.flags['--quiet'] && parsed.flags['--verbose']) return fail(t('cli.quietAndVerbose'));
+    return parsed;
+}
 
-    } catch (e) {
-        console.error(`分析过程中发生致命错误: ${e.message}`);
-        results.errors.push(e.stack);
+// 交给 run* 的参数: 位置参数在前，去掉已由 main() 处理的通用选项
+function toCommandArgs({ command, positionals, flags }) {
+    const args = [...positionals];
+    for (const [flag, value] of Object.entries(flags)) {
+        if (Object.hasOwn(GLOBAL_OPTIONS, flag) || flag === '--format' || (flag === '--out' && !command.outFile)) continue;
+        args.push(flag);
+        if (value !== true) args.push(value);
     }
+    return args;
+}
 
-    // --- 报告处理 (无变化) ---
-    const processResults = (key) => {
-        const uniqueList = [...new Set(results[key].list)];
-        const uniqueDocs = [...new Set(results[key].documentedList)];
-        const docSet = new Set(uniqueDocs);
-        const uniqueUndocumented = [...new Set(results[key].undocumentedList)]
-            .filter(name => !docSet.has(name));
-        results[key].list = uniqueList;
-        results[key].documentedList = uniqueDocs;
-        results[key].undocumentedList = uniqueUndocumented;
-        results[key].total = uniqueList.length;
-        results[key].documented = uniqueDocs.length;
-        results[key].undocumented = uniqueUndocumented.length;
-    };
-    processResults('js'); processResults('ts'); processResults('mf');
-    const finalReport = {
-        ...results,
-        reExports: [...results.reExports],
-        reExportedApis: [...results.reExportedApis],
-    };
-    
-    // --- 保存报告 (无变化) ---
-    console.log('[4/4] 正在保存分析报告...');
-    const safeProjectName = results.packageName.replace(/@/g, '').replace(/\//g, '_');
-    const now = new Date();
-    const pad = (n) => n.toString().padStart(2, '0');
-    const dateStr = `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
-    const timeStr = `${pad(now.getHours())}-${pad(now.getMinutes())}-${pad(now.getSeconds())}`;
-    const fileTimestamp = `${dateStr}_${timeStr}`;
-    const reportsRoot = path.resolve(__dirname, 'analysis_reports');
-    const projectReportDir = path.join(reportsRoot, safeProjectName);
-    const reportFullPath = path.join(projectReportDir, `${fileTimestamp}.json`);
-    try {
-        await fs.ensureDir(projectReportDir);
-        await fs.writeJson(reportFullPath, finalReport, { spaces: 2 });
-        console.log(`✅ 报告已成功保存到: ${reportFullPath}`);
-    } catch (saveError) {
-        console.error(`❌ 保存报告失败: ${saveError.message}`);
+function commandUsage(name) {
+    return `node analyze.js ${name === 'analyze' ? '[analyze]' : name} ${COMMANDS[name].args.join(' ')} ${t('cli.optionsPlaceholder')}`;
+}
+
+function optionLabels(options) {
+    return Object.entries(options).map(([flag, placeholder]) => (placeholder ? `${flag} ${placeholder}` : flag));
+}
+
+function optionHelpLines(name, options, width) {
+    const labels = optionLabels(options);
+    return Object.keys(options).map((flag, index) => {
+        const key = MESSAGES[`help.option.${name} ${flag}`] ? `help.option.${name} ${flag}` : `help.option.${flag}`;
+        return `  ${labels[index].padEnd(width)}${t(key, { default: COMMANDS[name]?.format })}`;
+    });
+}
+
+function printCommandHelp(name) {
+    const width = Math.max(...optionLabels({ ...COMMANDS[name].options, ...GLOBAL_OPTIONS }).map(label => label.length)) + 2;
+    console.log([
+        `${t('cli.usage')} ${commandUsage(name)}`,
+        '',
+        t(`help.command.${name}`),
+        '',
+        t('cli.options'),
+        ...optionHelpLines(name, COMMANDS[name].options, width),
+        '',
+        t('cli.globalOptions'),
+        ...optionHelpLines(name, GLOBAL_OPTIONS, width),
+        '',
+        t('cli.pathsNote'),
+    ].join('\n'));
+}
+
+function printGeneralHelp() {
+    const names = Object.keys(COMMANDS);
+    const width = Math.max(...names.map(name => name.length), ...optionLabels(GLOBAL_OPTIONS).map(label => label.length)) + 2;
+    console.log([
+        t('cli.usage'),
+        ...names.map(name => `  ${commandUsage(name)}`),
+        '',
+        t('cli.commands'),
+        ...names.map(name => `  ${name.padEnd(width)}${t(`help.command.${name}`)}`),
+        '',
+        t('cli.globalOptions'),
+        ...optionHelpLines(null, GLOBAL_OPTIONS, width),
+        '',
+        t('cli.moreHelp'),
+    ].join('\n'));
+}
+
+async function main() {
+    const argv = process.argv.slice(2);
+    // 先确定语言，参数错误也按 --lang 输出
+    const langArg = argv.find((arg, index) => argv[index - 1] === '--lang' || arg.startsWith('--lang='));
+    const language = langArg?.replace(/^--lang=/, '');
+    if (LANGUAGES.includes(language)) setLanguage(language);
+
+    if (argv.length === 0) {
+        printGeneralHelp();
+        process.exitCode = 1;
+        return;
+    }
+    const parsed = parseCommandLine(argv);
+    if (parsed.error) {
+        console.error(t('cli.error', { message: parsed.error }));
+        console.error(t('cli.helpHint', { command: parsed.name }));
+        process.exit(1);
+    }
+    if (parsed.flags['--help']) {
+        // `node analyze.js --help` 显示总览，`node analyze.js <command> --help` 显示该命令的选项
+        return parsed.explicit || parsed.positionals.length > 0 ? printCommandHelp(parsed.name) : printGeneralHelp();
     }
 
-    // --- 打印报告 (无变化) ---
-    console.log('\n--- 🚀 本地分析报告 ---');
-    console.log(JSON.stringify(finalReport, null, 2));
+    cliOutput.format = parsed.flags['--format'] ?? parsed.command.format ?? null;
+    cliOutput.quiet = Boolean(parsed.flags['--quiet']);
+    cliOutput.verbose = Boolean(parsed.flags['--verbose']);
+    if (parsed.flags['--out'] && !parsed.command.outFile) {
+        reportsRoot = path.resolve(process.cwd(), parsed.flags['--out']);
+    }
+    return parsed.command.run(toCommandArgs(parsed));
 }
 
-main().catch(console.error);
+export { analyzePackage, setLanguage, generateJSDocStubs, collectUsage, createApiSnapshot, compareApiSnapshots, renderMarkdownReport, renderHtmlReport, renderSarifReport, renderGithubAnnotations, REPORT_SCHEMA_VERSION };
+
+// 仅在作为脚本执行时运行 CLI；被 import 时只提供上面的导出
+const invokedDirectly = process.argv[1] && fs.realpathSync(path.resolve(process.argv[1])) === fileURLToPath(import.meta.url);
+if (invokedDirectly) {
+    main().catch((e) => {
+        console.error(e);
+        process.exitCode = 1;
+    });
+}
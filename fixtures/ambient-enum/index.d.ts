@@ -0,0 +1,22 @@
+/**
+ * Log levels.
+ */
+export declare enum Level {
+    Low = 1,
+    High = 2,
+    Named = 'n',
+    Shift = 1 << 2,
+}
+
+/**
+ * Values that are not constant expressions.
+ */
+export declare enum Measure {
+    Pi = Math.PI,
+    Length = 'abc'.length,
+}
+
+export declare enum Implicit {
+    A,
+    B,
+}
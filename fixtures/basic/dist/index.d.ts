@@ -0,0 +1,36 @@
+/** TODO */
+export declare function stub(a: number): number;
+/**
+ * Adds numbers.
+ * @param a first
+ * @param b second
+ * @returns sum
+ */
+export declare function add(a: number, b: number): number;
+/**
+ * Logs things.
+ * @param old gone
+ */
+export declare const log: (msg: string) => void;
+export declare function inner(x: number): number;
+/** Options. */
+export interface Options { a: string }
+export * from './more';
+/** A widget. */
+export declare class Widget {
+    /** Renders. */
+    render(): void;
+    update(): void;
+    private secret;
+    protected guarded(): void;
+    #hidden: number;
+    static create(): Widget;
+    constructor(a: number);
+}
+export declare enum Color {
+    /** red */
+    Red,
+    Blue
+}
+export type Props = { /** the id */ id: string; name?: string; [k: string]: unknown };
+export declare namespace Utils { /** f */ function f(): void; const g: number; }
@@ -0,0 +1,17 @@
+/** TODO */
+export function stub(a) { return a; }
+/**
+ * Adds numbers.
+ * @param a first
+ * @param b second
+ * @returns sum
+ */
+export function add(a, b) { return a + b; }
+/**
+ * Logs things.
+ * @param old gone
+ */
+export const log = (msg) => { console.log(msg); };
+function inner(x) { return x; }
+export { inner };
+export * from './more.js';
@@ -0,0 +1 @@
+/** More stuff. */ export declare const more = 1;
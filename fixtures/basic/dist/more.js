@@ -0,0 +1,2 @@
+/** More stuff. */
+export const more = 1;
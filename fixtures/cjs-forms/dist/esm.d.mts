@@ -0,0 +1,11 @@
+/**
+ * Splits a string.
+ * @param text the text
+ * @returns the parts
+ */
+export declare function split(text: string): string[];
+export declare const separator = ",";
+/** Split options. */
+export interface SplitOptions {
+    trim?: boolean;
+}
@@ -0,0 +1,10 @@
+/**
+ * Splits a string.
+ * @param {string} text the text
+ * @returns {string[]} the parts
+ */
+export function split(text) {
+    return text.split(',');
+}
+
+export const separator = ',';
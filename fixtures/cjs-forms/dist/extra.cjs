@@ -0,0 +1,11 @@
+'use strict';
+
+/**
+ * Extra helper.
+ * @returns {number} zero
+ */
+function extra() {
+    return 0;
+}
+
+module.exports.extra = extra;
@@ -0,0 +1,20 @@
+'use strict';
+Object.defineProperty(exports, '__esModule', { value: true });
+
+/**
+ * Parses a string.
+ * @param {string} input the text
+ * @returns {object} the result
+ */
+exports.parse = function parse(input) {
+    return { input };
+};
+
+exports.format = function format(value) {
+    return String(value);
+};
+
+/** The library version. */
+Object.defineProperty(exports, 'version', { enumerable: true, get: function () { return '1.0.0'; } });
+
+__exportStar(require('./extra.cjs'), exports);
@@ -0,0 +1,5 @@
+/** Parse options. */
+export interface ParseOptions {
+    strict?: boolean;
+}
+export type Formatted = string;
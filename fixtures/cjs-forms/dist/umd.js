@@ -0,0 +1,27 @@
+(function (root, factory) {
+    if (typeof define === 'function' && define.amd) {
+        define(['exports'], factory);
+    } else if (typeof exports === 'object') {
+        factory(exports);
+    } else {
+        factory((root.cjsForms = {}));
+    }
+})(this, function (exports) {
+    'use strict';
+
+    /**
+     * Clamps a number.
+     * @param {number} value the number
+     * @param {number} min lower bound
+     * @param {number} max upper bound
+     * @returns {number} the clamped number
+     */
+    function clamp(value, min, max) {
+        return Math.min(Math.max(value, min), max);
+    }
+
+    function noop() {}
+
+    exports.clamp = clamp;
+    exports.noop = noop;
+});
@@ -0,0 +1,17 @@
+'use strict';
+
+/**
+ * Adds two numbers.
+ * @param {number} a first operand
+ * @param {number} b second operand
+ * @returns {number} the sum
+ */
+function add(a, b) {
+    return a + b;
+}
+
+const greet = (name) => `hello ${name}`;
+
+function noop() {}
+
+module.exports = { add, greet, noop };
@@ -0,0 +1,6 @@
+export { helper } from './missing.js';
+
+/**
+ * Still counted although the other re-export cannot be resolved.
+ */
+export function ok() {}
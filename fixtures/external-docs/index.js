@@ -0,0 +1,31 @@
+/**
+ * Creates a client.
+ * @param {string} url the endpoint
+ * @returns {object} the client
+ */
+export function createClient(url) {
+    return { url };
+}
+
+/**
+ * Sends a request.
+ * @param {object} client the client
+ */
+export function send(client) {
+    void client;
+}
+
+export function retry() {}
+
+export function Button() {
+    return null;
+}
+
+export function Modal() {
+    return null;
+}
+
+/** Internal hook. */
+export function internal() {}
+
+export function unlisted() {}
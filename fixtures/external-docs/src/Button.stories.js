@@ -0,0 +1,5 @@
+import { Button } from '../index.js';
+
+export default { title: 'Components/Button', component: Button };
+
+export const Primary = {};
@@ -0,0 +1,27 @@
+/** TODO */
+export function placeholder() {}
+
+/**
+ * Adds two numbers.
+ * @param {number} a First operand.
+ * @param {number} b Second operand.
+ * @returns {number} The sum.
+ */
+export function add(a, b) {
+    return a + b;
+}
+
+/**
+ * Renames a record.
+ * @param {string} oldName Parameter that no longer exists.
+ */
+export function rename(name) {}
+
+/**
+ * Reads the current value.
+ */
+export function read() {
+    return 42;
+}
+
+export function bare() {}
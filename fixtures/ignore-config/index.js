@@ -0,0 +1,8 @@
+/**
+ * Public entry point.
+ */
+export function run() {}
+
+export function __internalReset() {}
+
+export function unstable_preview() {}
@@ -0,0 +1,14 @@
+export interface FormatOptions {
+    pretty?: boolean;
+}
+
+/**
+ * Formats a value for display.
+ */
+export function format(value: unknown, options?: FormatOptions): string {
+    return options?.pretty ? JSON.stringify(value, null, 2) : String(value);
+}
+
+export function parse(text: string): unknown {
+    return JSON.parse(text);
+}
@@ -0,0 +1,6 @@
+export { format, format as render } from './format';
+
+/**
+ * Library version.
+ */
+export const version = '1.0.0';
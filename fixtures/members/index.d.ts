@@ -0,0 +1,37 @@
+/** A store. */
+export declare class Store {
+    /** Reads a value. */
+    get(key: string): unknown;
+    set(key: string, value: unknown): void;
+    /** The current size. */
+    readonly size: number;
+    private cache;
+    protected flush(): void;
+    #version: number;
+    constructor();
+}
+/** Store options. */
+export interface StoreOptions {
+    /** Storage name. */
+    name: string;
+    ttl?: number;
+}
+/** A record. */
+export type Entry = {
+    /** The key. */
+    key: string;
+    value: unknown;
+    [extra: string]: unknown;
+};
+/** Log levels. */
+export declare enum Level {
+    /** Verbose output. */
+    Debug,
+    Info
+}
+/** Helpers. */
+export declare namespace helpers {
+    /** Clears the store. */
+    function clear(store: Store): void;
+    const version: number;
+}
@@ -0,0 +1,12 @@
+import React from 'react';
+
+export interface ButtonProps {
+    /** Text on the button. */
+    label: string;
+    disabled?: boolean;
+}
+
+/** A button. */
+export default function Button({ label, disabled = false }: ButtonProps) {
+    return <button disabled={disabled}>{label}</button>;
+}
@@ -0,0 +1,14 @@
+import React from 'react';
+
+export interface CardProps {
+    /** Card title. */
+    title: string;
+    /** Card body. */
+    body?: string;
+    footer?: string;
+}
+
+/** A card. */
+export default function Card({ title, body, footer }: CardProps) {
+    return <section><h2>{title}</h2><p>{body}</p>{footer}</section>;
+}
@@ -0,0 +1,13 @@
+const { ModuleFederationPlugin } = require('webpack').container;
+
+module.exports = {
+    plugins: [
+        new ModuleFederationPlugin({
+            name: 'ui',
+            exposes: {
+                './Button': './src/Button.tsx',
+                './Card': './src/Card.tsx',
+            },
+        }),
+    ],
+};
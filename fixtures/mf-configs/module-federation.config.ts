@@ -0,0 +1,11 @@
+import { createModuleFederationConfig } from '@module-federation/enhanced';
+
+const exposes = {
+    './Table': './src/Table.js',
+    './Legend': ['./src/Legend.js'],
+} as const;
+
+export default createModuleFederationConfig({
+    name: 'data',
+    exposes: exposes satisfies Record<string, unknown>,
+});
@@ -0,0 +1,13 @@
+import { ModuleFederationPlugin } from '@module-federation/enhanced/rspack';
+import { chartExposes, SRC } from './shared.mjs';
+
+const base = { './Header': SRC + '/Header.js' };
+
+export default {
+    plugins: [
+        new ModuleFederationPlugin({
+            name: 'shell',
+            exposes: { ...base, ...chartExposes },
+        }),
+    ],
+};
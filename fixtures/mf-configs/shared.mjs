@@ -0,0 +1,2 @@
+export const SRC = './src';
+export const chartExposes = { './Chart': `${SRC}/Chart.js` };
@@ -0,0 +1,4 @@
+/** The Footer widget. */
+export default function Footer() {
+    return null;
+}
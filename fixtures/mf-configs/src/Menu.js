@@ -0,0 +1,4 @@
+/** The Menu widget. */
+export default function Menu() {
+    return null;
+}
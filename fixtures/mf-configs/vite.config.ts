@@ -0,0 +1,17 @@
+import { defineConfig } from 'vite';
+import federation from '@originjs/vite-plugin-federation';
+
+const dir = 'src';
+
+export default defineConfig({
+    plugins: [
+        federation({
+            name: 'widgets',
+            exposes: {
+                './Footer': `./${dir}/Footer.js`,
+                './Menu': { import: './src/Menu.js' },
+                './Dynamic': process.env.DYNAMIC_ENTRY,
+            },
+        }),
+    ],
+});
@@ -0,0 +1,16 @@
+export * from '@utils/math';
+
+/** Runtime settings. */
+export interface Settings {
+    debug: boolean;
+}
+
+/**
+ * Starts the runtime.
+ * @param settings the settings
+ */
+export function start(settings: Settings): void {
+    void settings;
+}
+
+export function stop(): void {}
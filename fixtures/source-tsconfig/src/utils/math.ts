@@ -0,0 +1,10 @@
+/**
+ * Doubles a number.
+ * @param value the number
+ * @returns twice the number
+ */
+export function double(value: number): number {
+    return value * 2;
+}
+
+export type Pair = [number, number];
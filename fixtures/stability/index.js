@@ -0,0 +1,63 @@
+/**
+ * Loads a file.
+ * @public
+ * @since 1.0.0
+ * @param {string} file the path
+ * @returns {string} the contents
+ */
+export function load(file) {
+    return file;
+}
+
+/**
+ * Loads a file the old way.
+ * @deprecated Use load instead.
+ * @since 0.1.0
+ * @param {string} file the path
+ * @returns {string} the contents
+ */
+export function legacyLoad(file) {
+    return load(file);
+}
+
+/**
+ * Reads the old config.
+ * @deprecated
+ * @beta
+ * @returns {object} the config
+ */
+export function oldConfig() {
+    return {};
+}
+
+/**
+ * Streams a file.
+ * @beta
+ * @param {string} file the path
+ */
+export function stream(file) {
+    void file;
+}
+
+/**
+ * Watches a file.
+ * @experimental
+ * @since 2.0.0
+ * @param {string} file the path
+ */
+export function watch(file) {
+    void file;
+}
+
+export function helper() {}
+
+/**
+ * Reads a file.
+ * @deprecated
+ * @see load
+ * @param {string} file the path
+ * @returns {string} the contents
+ */
+export function read(file) {
+    return load(file);
+}
@@ -0,0 +1,6 @@
+export { format, parse } from './shared.js';
+
+/**
+ * Library version.
+ */
+export const version = '1.0.0';
@@ -0,0 +1,5 @@
+/**
+ * Formats a value for display.
+ */
+export declare function format(value: unknown): string;
+export declare function parse(text: string): unknown;
@@ -0,0 +1,10 @@
+/**
+ * Formats a value for display.
+ */
+export function format(value) {
+    return String(value);
+}
+
+export function parse(text) {
+    return JSON.parse(text);
+}
@@ -0,0 +1,4 @@
+import { Color, Widget } from 'fixture-basic';
+
+export const widget = new Widget(Color.Red);
+export { inner } from 'fixture-basic';
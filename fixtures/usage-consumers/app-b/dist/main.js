@@ -0,0 +1,3 @@
+const basic = require('fixture-basic');
+
+module.exports = basic.Utils;
@@ -0,0 +1,4 @@
+const basic = require('fixture-basic');
+
+basic.Utils.f();
+module.exports = basic.Color.Blue;
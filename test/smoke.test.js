@@ -0,0 +1,516 @@
+// -----------------------------------------------------------------------------
+// CLI 冒烟测试: 对 fixtures/ 下的小包运行 analyze.js，检查报告里的统计
+// -----------------------------------------------------------------------------
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const repoRoot = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const fixturesRoot = path.join(repoRoot, 'fixtures');
+const outDir = fs.mkdtempSync(path.join(os.tmpdir(), 'count-docs-test-'));
+
+after(() => fs.rmSync(outDir, { recursive: true, force: true }));
+
+// 运行 CLI (英文输出)，返回 { status, stdout, stderr }
+function cli(...args) {
+    return cliIn('en', ...args);
+}
+
+function cliIn(lang, ...args) {
+    const result = spawnSync(process.execPath, [path.join(repoRoot, 'analyze.js'), ...args, '--lang', lang], {
+        cwd: repoRoot,
+        encoding: 'utf-8',
+        timeout: 120000,
+    });
+    return { status: result.status, stdout: result.stdout, stderr: result.stderr };
+}
+
+function analyze(fixture, ...args) {
+    const { status, stdout, stderr } = cli(path.join(fixturesRoot, fixture), '--format', 'json', '--quiet', '--no-cache', '--out', outDir, ...args);
+    assert.equal(status, 0, stderr);
+    return JSON.parse(stdout);
+}
+
+function counts(report, key) {
+    const { total, documented } = report[key];
+    return { total, documented };
+}
+
+test('basic: counts JS and TS exports with their documentation', () => {
+    const report = analyze('basic');
+    assert.deepEqual(counts(report, 'js'), { total: 8, documented: 5 });
+    assert.deepEqual(counts(report, 'ts'), { total: 4, documented: 2 });
+    assert.deepEqual(counts(report, 'mf'), { total: 0, documented: 0 });
+    assert.deepEqual(report.errors, []);
+    assert.deepEqual([...report.js.undocumentedList].sort(), ['Color', 'Utils', 'inner']);
+});
+
+test('grading: JSDoc quality levels and issues', () => {
+    const report = analyze('grading');
+    assert.deepEqual(counts(report, 'js'), { total: 5, documented: 4 });
+    assert.deepEqual(report.js.qualityLevels, { missing: 1, stub: 1, partial: 2, complete: 1 });
+    assert.deepEqual(report.js.quality.placeholder, { level: 'stub', issues: ['missing-summary'] });
+    assert.deepEqual(report.js.quality.add, { level: 'complete', issues: [] });
+    assert.deepEqual(report.js.quality.rename, { level: 'partial', issues: ['missing-param:name', 'stale-param:oldName'] });
+    assert.deepEqual(report.js.quality.read, { level: 'partial', issues: ['missing-returns'] });
+    assert.deepEqual(report.js.quality.bare, { level: 'missing', issues: [] });
+});
+
+test('cli: unknown options, missing values and extra arguments are errors', () => {
+    const unknown = cli(path.join(fixturesRoot, 'basic'), '--bogus');
+    assert.equal(unknown.status, 1);
+    assert.match(unknown.stderr, /Unknown option for analyze: --bogus/);
+    const extra = cli(path.join(fixturesRoot, 'basic'), 'extra');
+    assert.equal(extra.status, 1);
+    assert.match(extra.stderr, /Unexpected argument: extra/);
+    const missingValue = cli(path.join(fixturesRoot, 'basic'), '--format');
+    assert.equal(missingValue.status, 1);
+    assert.match(missingValue.stderr, /--format requires a value/);
+    const help = cli('check', '--help');
+    assert.equal(help.status, 0);
+    assert.match(help.stdout, /^Usage: node analyze\.js check <path> \[options\]/);
+});
+
+test('mf-components: default-exported components of different exposes are all recorded', () => {
+    const report = analyze('mf-components');
+    assert.deepEqual(report.mf.list, ['./Button', './Card']);
+    assert.equal(report.components.total, 2);
+    assert.deepEqual(Object.keys(report.components.apis).sort(), ['src/Button.tsx#default', 'src/Card.tsx#default']);
+    assert.deepEqual(report.components.apis['src/Card.tsx#default'].undocumentedList, ['footer']);
+    assert.deepEqual({ total: report.components.props.total, documented: report.components.props.documented }, { total: 5, documented: 3 });
+});
+
+test('cjs-lib: stubs cover hand-written sources in lib/ with inferred return types', () => {
+    const { status, stdout, stderr } = cli('stubs', path.join(fixturesRoot, 'cjs-lib'), '--quiet', '--no-cache', '--out', path.join(outDir, 'cjs-lib.patch'));
+    assert.equal(status, 0, stderr);
+    assert.equal(stdout, '');
+    const patch = fs.readFileSync(path.join(outDir, 'cjs-lib.patch'), 'utf-8');
+    assert.match(patch, /^\+\+\+ b\/lib\/index\.cjs$/m);
+    assert.match(patch, /^\+ \* @param name\n\+ \* @returns \{string\}\n\+ \*\/\n const greet/m);
+    assert.match(patch, /^\+\/\*\* TODO \*\/\n function noop/m);
+});
+
+// 把 fixture 复制到临时目录并初始化为 git 仓库 (第一次提交包含全部文件)，返回 { repo, git }
+function gitFixture(fixture, name, message) {
+    const repo = path.join(outDir, name);
+    fs.cpSync(path.join(fixturesRoot, fixture), repo, { recursive: true });
+    const git = (...args) => {
+        const result = spawnSync('git', ['-c', 'user.name=fixture', '-c', 'user.email=fixture@example.com', ...args], { cwd: repo, encoding: 'utf-8' });
+        assert.equal(result.status, 0, result.stderr);
+        return result.stdout.trim();
+    };
+    git('init', '--quiet');
+    git('add', '-A');
+    git('commit', '--quiet', '-m', message);
+    return { repo, git };
+}
+
+test('blame: reports the commit that introduced a declaration, not the last one to touch it', () => {
+    const { repo, git } = gitFixture('cjs-lib', 'blame-repo', 'add greet');
+    const introduced = git('rev-parse', 'HEAD');
+    const file = path.join(repo, 'lib/index.cjs');
+    fs.writeFileSync(file, fs.readFileSync(file, 'utf-8').replace('`hello ${name}`', '`hi ${name}`'));
+    git('commit', '--quiet', '-am', 'change greeting');
+
+    const { status, stdout, stderr } = cli(repo, '--blame', '--format', 'json', '--quiet', '--no-cache', '--out', outDir);
+    assert.equal(status, 0, stderr);
+    const greet = JSON.parse(stdout).blame.find(entry => entry.name === 'greet');
+    assert.equal(greet.file, path.join('lib', 'index.cjs'));
+    assert.equal(greet.commit, introduced);
+    assert.equal(greet.summary, 'add greet');
+});
+
+test('ignore-config: user ignore.apis patterns are added to the default __*', () => {
+    const report = analyze('ignore-config');
+    assert.deepEqual(counts(report, 'js'), { total: 1, documented: 1 });
+    assert.deepEqual(report.excluded.map(({ name, reason }) => [name, reason]), [
+        ['__internalReset', 'ignore.apis: __*'],
+        ['unstable_preview', 'ignore.apis: unstable_*'],
+    ]);
+});
+
+test('subpaths: a "./*" wildcard only expands to JS/TS entry modules', () => {
+    const report = analyze('subpaths');
+    assert.deepEqual(Object.keys(report.subpaths).sort(), ['.', './index.js', './shared.js']);
+    assert.deepEqual(counts(report, 'js'), { total: 3, documented: 2 });
+    assert.deepEqual(counts(report.subpaths['./shared.js'], 'js'), { total: 2, documented: 1 });
+    assert.deepEqual(report.subpaths['./shared.js'].entryPoints.ts, [path.join(fixturesRoot, 'subpaths/dist/shared.d.ts')]);
+    assert.deepEqual(report.warnings, []);
+});
+
+test('js-ts-reexport: named re-exports from a TS module only count the named exports', () => {
+    const report = analyze('js-ts-reexport');
+    assert.deepEqual([...report.js.list].sort(), ['format', 'render', 'version']);
+    assert.deepEqual(counts(report, 'js'), { total: 3, documented: 3 });
+    assert.deepEqual(counts(report, 'ts'), { total: 0, documented: 0 });
+    assert.equal(report.js.sources.render, 'format.ts');
+    assert.deepEqual(report.errors, []);
+});
+
+test('batch: bad manifest entries are reported as failed without stopping the batch', () => {
+    const manifestPath = path.join(outDir, 'batch-manifest.json');
+    fs.writeFileSync(manifestPath, JSON.stringify({ packages: [path.join(fixturesRoot, 'basic'), fixturesRoot, path.join(outDir, 'missing')] }));
+    const { status, stdout, stderr } = cli('batch', manifestPath, '--out', outDir, '--quiet');
+    assert.equal(status, 0, stderr);
+    const combined = JSON.parse(stdout.slice(stdout.indexOf('{')));
+    assert.equal(combined.packageCount, 3);
+    assert.deepEqual(combined.packages[0].js, { total: 8, documented: 5, undocumented: 3, coverage: 62.5 });
+    assert.match(combined.packages[1].failed, /is not an npm package/);
+    assert.match(combined.packages[2].failed, /is not an npm package/);
+
+    const missing = cli('batch', path.join(outDir, 'no-such-dir'));
+    assert.equal(missing.status, 1);
+    assert.match(missing.stderr, /^Error: Batch input does not exist: /m);
+    assert.doesNotMatch(missing.stderr, /ENOENT/);
+});
+
+test('reports: every run keeps its own millisecond-stamped file, next to older per-second reports', () => {
+    const reportsDir = path.join(outDir, 'trend-reports');
+    const run = () => assert.equal(cli(path.join(fixturesRoot, 'basic'), '--quiet', '--no-cache', '--out', reportsDir).status, 0);
+    run();
+    run();
+    const packageDir = path.join(reportsDir, 'fixture-basic');
+    const saved = fs.readdirSync(packageDir);
+    assert.equal(saved.length, 2);
+    saved.forEach(file => assert.match(file, /^\d{4}-\d{2}-\d{2}_\d{2}-\d{2}-\d{2}-\d{3}\.json$/));
+    fs.copyFileSync(path.join(packageDir, saved[0]), path.join(packageDir, '2000-01-01_00-00-00.json'));
+
+    const { status, stdout, stderr } = cli('trend', path.join(fixturesRoot, 'basic'), '--out', reportsDir);
+    assert.equal(status, 0, stderr);
+    assert.match(stdout, /3 reports/);
+    assert.match(stdout, /^2000-01-01 00:00:00 /m);
+    assert.match(stdout, /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}\.\d{3} /m);
+});
+
+test('library: cache: true writes to the user cache directory, not next to the tool', () => {
+    const cacheHome = path.join(outDir, 'xdg-cache');
+    const script = `import { analyzePackage } from ${JSON.stringify(path.join(repoRoot, 'analyze.js'))};
+await analyzePackage(${JSON.stringify(path.join(fixturesRoot, 'basic'))}, { cache: true });`;
+    const result = spawnSync(process.execPath, ['--input-type=module', '-e', script], {
+        cwd: repoRoot,
+        encoding: 'utf-8',
+        timeout: 120000,
+        env: { ...process.env, XDG_CACHE_HOME: cacheHome },
+    });
+    assert.equal(result.status, 0, result.stderr);
+    const files = fs.readdirSync(path.join(cacheHome, 'count-docs'));
+    assert.equal(files.length, 1);
+    assert.match(files[0], /^fixture-basic-[0-9a-f]{8}\.json$/);
+});
+
+test('sarif and annotations: messages follow --lang', () => {
+    const reportsDir = path.join(outDir, 'sarif-reports');
+    const english = cli(path.join(fixturesRoot, 'basic'), '--sarif', '--quiet', '--no-cache', '--out', reportsDir);
+    assert.equal(english.status, 0, english.stderr);
+    const sarifFile = fs.readdirSync(path.join(reportsDir, 'fixture-basic')).find(file => file.endsWith('.sarif'));
+    const sarif = JSON.parse(fs.readFileSync(path.join(reportsDir, 'fixture-basic', sarifFile), 'utf-8'));
+    const { rules } = sarif.runs[0].tool.driver;
+    assert.equal(rules.find(rule => rule.id === 'undocumented-export').shortDescription.text, 'Exported API has no JSDoc');
+    assert.ok(sarif.runs[0].results.some(result => result.message.text === 'Color (JS (values)) has no JSDoc.'));
+
+    const chinese = spawnSync(process.execPath, [path.join(repoRoot, 'analyze.js'), 'check', path.join(fixturesRoot, 'basic'), '--annotations', '--quiet', '--no-cache', '--out', reportsDir], {
+        cwd: repoRoot,
+        encoding: 'utf-8',
+        timeout: 120000,
+        env: { ...process.env, COUNT_DOCS_LANG: 'zh' },
+    });
+    assert.match(chinese.stdout, /^::warning file=[^:]+,line=\d+,col=\d+::Color \(JS \(values\)\) 没有 JSDoc。$/m);
+});
+
+test('snapshot: declare enum members keep their initializer text when it is not constant', () => {
+    const snapshotPath = path.join(outDir, 'ambient-enum.api.json');
+    const { status, stderr } = cli('snapshot', path.join(fixturesRoot, 'ambient-enum'), '--out', snapshotPath, '--quiet', '--no-cache');
+    assert.equal(status, 0, stderr);
+    // 快照文件就是产物，不在工具目录下另存分析报告
+    assert.equal(fs.existsSync(path.join(repoRoot, 'analysis_reports', 'fixture-ambient-enum')), false);
+    const { apis } = JSON.parse(fs.readFileSync(snapshotPath, 'utf-8'));
+    assert.deepEqual(apis.Level.members, { High: '2', Low: '1', Named: '"n"', Shift: '4' });
+    assert.deepEqual(apis.Measure.members, { Length: "'abc'.length", Pi: 'Math.PI' });
+    assert.deepEqual(apis.Implicit.members, { A: 'computed', B: 'computed' });
+});
+
+test('errors: analysis errors in the report follow --lang', () => {
+    const report = analyze('errors');
+    assert.deepEqual(counts(report, 'js'), { total: 1, documented: 1 });
+    assert.equal(report.errors.length, 1);
+    assert.match(report.errors[0], /^Could not resolve '\.\/missing\.js' from .*index\.js$/);
+
+    const { status, stdout, stderr } = cliIn('zh', path.join(fixturesRoot, 'errors'), '--format', 'json', '--quiet', '--no-cache', '--out', outDir);
+    assert.equal(status, 0, stderr);
+    assert.match(JSON.parse(stdout).errors[0], /^无法从 .*index\.js 解析 '\.\/missing\.js'$/);
+});
+
+test('check: thresholds, baseline and --strict decide the exit code', () => {
+    const basic = path.join(fixturesRoot, 'basic');
+    const baselinePath = path.join(outDir, 'basic.baseline.json');
+    const check = (...args) => cli('check', basic, '--quiet', '--no-cache', '--out', outDir, '--baseline', baselinePath, ...args);
+
+    const update = check('--update-baseline');
+    assert.equal(update.status, 0, update.stderr);
+    const baseline = JSON.parse(fs.readFileSync(baselinePath, 'utf-8'));
+    assert.deepEqual(baseline.js, ['Color', 'Utils', 'inner']);
+
+    const passed = check('--min', '50', '--format', 'json');
+    assert.equal(passed.status, 0, passed.stderr);
+    assert.equal(JSON.parse(passed.stdout).passed, true);
+
+    const belowThreshold = check('--min', '50', '--min-js', '70', '--format', 'json');
+    assert.equal(belowThreshold.status, 1);
+    assert.deepEqual(JSON.parse(belowThreshold.stdout).failures, ['[js] coverage 62.5% is below the 70% threshold']);
+
+    // baseline 中少了 Color (新增未文档化) 并多了 Gone (已补文档或已删除)
+    fs.writeFileSync(baselinePath, JSON.stringify({ ...baseline, js: ['Gone', 'Utils', 'inner'] }));
+    const changed = check('--format', 'json');
+    assert.equal(changed.status, 1);
+    const result = JSON.parse(changed.stdout);
+    assert.deepEqual(result.failures, ['[js] New undocumented exports (1): Color']);
+    assert.deepEqual(result.notes, ['[js] Baseline exports that are now documented or removed (1): Gone']);
+});
+
+test('check: --strict fails on analysis errors, which are otherwise only reported', () => {
+    const target = path.join(fixturesRoot, 'errors');
+    const baselinePath = path.join(outDir, 'errors.baseline.json');
+    const check = (...args) => cli('check', target, '--quiet', '--no-cache', '--out', outDir, '--baseline', baselinePath, ...args);
+    assert.equal(check('--update-baseline').status, 0);
+
+    const lenient = check();
+    assert.equal(lenient.status, 0, lenient.stderr);
+    assert.match(lenient.stdout, /1 error\(s\) during analysis/);
+
+    const strict = check('--strict');
+    assert.equal(strict.status, 1);
+    assert.match(strict.stderr, /\[strict\] 1 error\(s\) during analysis/);
+});
+
+test('check: a relative --baseline resolves against the current directory', () => {
+    const relative = path.relative(repoRoot, path.join(outDir, 'relative.baseline.json'));
+    const { status, stderr } = cli('check', path.join(fixturesRoot, 'basic'), '--quiet', '--no-cache', '--out', outDir, '--baseline', relative, '--update-baseline');
+    assert.equal(status, 0, stderr);
+    assert.ok(fs.existsSync(path.join(outDir, 'relative.baseline.json')));
+    assert.equal(fs.existsSync(path.join(fixturesRoot, 'basic', relative)), false);
+    assert.match(cli('check', '--help').stdout, /File and directory options are relative to the current directory/);
+});
+
+test('ref: analyzes an earlier commit in a temporary worktree and removes it afterwards', () => {
+    const { repo, git } = gitFixture('cjs-lib', 'ref-repo', 'initial');
+    const file = path.join(repo, 'lib/index.cjs');
+    fs.writeFileSync(file, fs.readFileSync(file, 'utf-8').replace('module.exports = { add, greet, noop };', 'const later = () => 1;\nmodule.exports = { add, greet, noop, later };'));
+    git('commit', '--quiet', '-am', 'add later');
+    const initial = git('rev-parse', 'HEAD~1');
+
+    const reportsDir = path.join(outDir, 'ref-reports');
+    const { status, stdout, stderr } = cli(repo, '--ref', 'HEAD~1', '--format', 'json', '--quiet', '--no-cache', '--out', reportsDir);
+    assert.equal(status, 0, stderr);
+    const report = JSON.parse(stdout);
+    assert.deepEqual([...report.js.list].sort(), ['add', 'greet', 'noop']);
+    assert.equal(report.gitRef.commit, initial);
+    assert.equal(report.packagePath, repo);
+
+    // 报告带 @ref 后缀，不进入 diff/trend 的时间线
+    const saved = fs.readdirSync(path.join(reportsDir, 'fixture-cjs-lib'));
+    assert.equal(saved.length, 1);
+    assert.match(saved[0], /@HEAD-1\.json$/);
+    // worktree 已删除，当前检出不受影响
+    assert.equal(git('worktree', 'list', '--porcelain').split('\n').filter(line => line.startsWith('worktree ')).length, 1);
+    assert.equal(git('status', '--porcelain'), '');
+    assert.match(fs.readFileSync(file, 'utf-8'), /later/);
+});
+
+test('diff: compares the latest two reports of a package', () => {
+    const pkg = path.join(outDir, 'diff-pkg');
+    const reportsDir = path.join(outDir, 'diff-reports');
+    fs.cpSync(path.join(fixturesRoot, 'grading'), pkg, { recursive: true });
+    const run = () => assert.equal(cli(pkg, '--quiet', '--no-cache', '--out', reportsDir).status, 0);
+    run();
+    // 给 bare 补文档、删掉 add 的文档、移除 read
+    const file = path.join(pkg, 'index.js');
+    const source = fs.readFileSync(file, 'utf-8');
+    fs.writeFileSync(file, source
+        .replace('export function bare() {}', '/**\n * No longer bare.\n */\nexport function bare() {}')
+        .replace(/\/\*\*\n \* Adds two numbers\.[\s\S]*?\*\/\n/, '')
+        .replace(/\/\*\*\n \* Reads the current value\.[\s\S]*?\n}\n/, ''));
+    run();
+
+    const { status, stdout, stderr } = cli('diff', pkg, '--out', reportsDir, '--format', 'json');
+    assert.equal(status, 0, stderr);
+    const diff = JSON.parse(stdout);
+    assert.deepEqual(diff.js, { added: [], removed: ['read'], newlyDocumented: ['bare'], newlyUndocumented: ['add'] });
+    assert.deepEqual(diff.coverage.js, { before: 80, after: 75, delta: -5 });
+
+    const table = cli('diff', pkg, '--out', reportsDir);
+    assert.equal(table.status, 0, table.stderr);
+    assert.match(table.stdout, /added: 0  removed: 1  newly documented: 1  lost docs: 1/);
+    const trend = cli('trend', pkg, '--out', reportsDir);
+    assert.match(trend.stdout, /2 reports/);
+    assert.match(trend.stdout, / 80\.00% .*\n.* 75\.00% /);
+});
+
+test('render: --html and --md write next to the JSON report, and report re-renders a saved one', () => {
+    const reportsDir = path.join(outDir, 'render-reports');
+    const { status, stderr } = cli(path.join(fixturesRoot, 'basic'), '--html', '--md', '--quiet', '--no-cache', '--out', reportsDir);
+    assert.equal(status, 0, stderr);
+    const packageDir = path.join(reportsDir, 'fixture-basic');
+    const jsonFile = path.join(packageDir, fs.readdirSync(packageDir).find(file => file.endsWith('.json')));
+    const read = format => fs.readFileSync(jsonFile.replace(/\.json$/, `.${format}`), 'utf-8');
+
+    const markdown = read('md');
+    assert.match(markdown, /^## 📚 Documentation coverage: `fixture-basic`/);
+    assert.match(markdown, /^\| JS \(values\) \| 5 \| 8 \| 62\.5% \|/m);
+    assert.match(markdown, /^\| TS \(types\) \| 2 \| 4 \| 50% \|/m);
+    const html = read('html');
+    assert.match(html, /<span class="bar-value">62\.5% \(5\/8\)<\/span>/);
+    assert.match(html, /<tr class="undocumented">\s*<td><code>Color<\/code><\/td>/);
+
+    fs.rmSync(jsonFile.replace(/\.json$/, '.md'));
+    const rerender = cli('report', jsonFile, '--md');
+    assert.equal(rerender.status, 0, rerender.stderr);
+    assert.equal(read('md'), markdown);
+});
+
+test('members: --members counts public members of classes, interfaces, type literals, enums and namespaces', () => {
+    assert.equal(analyze('members').members, undefined);
+    const { members } = analyze('members', '--members');
+    assert.deepEqual({ total: members.total, documented: members.documented, undocumented: members.undocumented }, { total: 11, documented: 6, undocumented: 5 });
+    const summary = Object.fromEntries(Object.entries(members.apis)
+        .map(([name, api]) => [name, [api.kind, api.documented, api.total, api.undocumentedList]]));
+    assert.deepEqual(summary, {
+        // private / protected / #private、构造函数与索引签名不计入
+        Store: ['class', 2, 3, ['set']],
+        StoreOptions: ['interface', 1, 2, ['ttl']],
+        Entry: ['type', 1, 2, ['value']],
+        Level: ['enum', 1, 2, ['Info']],
+        helpers: ['namespace', 1, 2, ['version']],
+    });
+});
+
+test('cjs-forms: CommonJS assignments, defineProperty, __exportStar and UMD exports, with .d.cts/.d.mts entries', () => {
+    const report = analyze('cjs-forms');
+    const subpath = key => {
+        const { entryPoints, js, ts } = report.subpaths[key];
+        return { entryPoints: [...entryPoints.js, ...entryPoints.ts].map(file => path.basename(file)), js: js.list, ts: ts.list };
+    };
+    assert.deepEqual(subpath('.'), { entryPoints: ['index.cjs', 'index.d.cts'], js: ['parse', 'format', 'version', 'extra'], ts: ['ParseOptions', 'Formatted'] });
+    assert.deepEqual(subpath('./umd'), { entryPoints: ['umd.js'], js: ['clamp', 'noop'], ts: [] });
+    assert.deepEqual(subpath('./esm'), { entryPoints: ['esm.mjs', 'esm.d.mts'], js: ['split', 'separator'], ts: ['SplitOptions'] });
+    assert.deepEqual(report.js.undocumentedList, ['format', 'noop', 'separator']);
+    assert.deepEqual(report.errors, []);
+});
+
+test('source: --source maps build entries back to src via tsconfig outDir/rootDir and resolves extended paths aliases', () => {
+    // 没有构建产物时什么也统计不到
+    assert.equal(counts(analyze('source-tsconfig'), 'js').total, 0);
+    const report = analyze('source-tsconfig', '--source');
+    assert.deepEqual(report.entryPoints.ts.map(file => path.relative(path.join(fixturesRoot, 'source-tsconfig'), file)), [path.join('src', 'index.ts')]);
+    assert.deepEqual(report.js.list, ['start', 'stop', 'double']);
+    assert.deepEqual(report.js.undocumentedList, ['stop']);
+    assert.deepEqual(report.ts.list, ['Settings', 'Pair']);
+    assert.deepEqual(report.ts.undocumentedList, ['Pair']);
+    assert.deepEqual(report.errors, []);
+});
+
+test('cache: unchanged files hit the cache in --out, a change to the file or one of its dependencies misses', () => {
+    const pkg = path.join(outDir, 'cache-pkg');
+    const reportsDir = path.join(outDir, 'cache-reports');
+    fs.cpSync(path.join(fixturesRoot, 'basic'), pkg, { recursive: true });
+    const run = () => {
+        const { status, stdout, stderr } = cli(pkg, '--format', 'json', '--quiet', '--out', reportsDir);
+        assert.equal(status, 0, stderr);
+        return JSON.parse(stdout);
+    };
+    assert.deepEqual(run().performance.cache, { hits: 0, misses: 1 });
+    assert.deepEqual(run().performance.cache, { hits: 1, misses: 0 });
+    assert.equal(fs.readdirSync(path.join(reportsDir, '.cache')).length, 1);
+
+    // index.d.ts 通过 export * 依赖 more.d.ts
+    fs.appendFileSync(path.join(pkg, 'dist/more.d.ts'), '\n');
+    assert.deepEqual(run().performance.cache, { hits: 0, misses: 1 });
+    const index = path.join(pkg, 'dist/index.d.ts');
+    fs.writeFileSync(index, fs.readFileSync(index, 'utf-8').replace('/** Options. */\n', ''));
+    const edited = run();
+    assert.deepEqual(edited.performance.cache, { hits: 0, misses: 1 });
+    assert.deepEqual(counts(edited, 'ts'), { total: 4, documented: 1 });
+    assert.deepEqual(run().performance.cache, { hits: 1, misses: 0 });
+});
+
+test('usage: ranks undocumented exports by how often other repositories reference them', () => {
+    const reportsDir = path.join(outDir, 'usage-reports');
+    const { status, stdout, stderr } = cli('usage', path.join(fixturesRoot, 'basic'), '--repos', path.join(fixturesRoot, 'usage-consumers'), '--quiet', '--no-cache', '--out', reportsDir);
+    assert.equal(status, 0, stderr);
+    assert.match(stdout, /^ {4}2 {2}Color +js\+ts +app-a, app-b$/m);
+
+    const packageDir = path.join(reportsDir, 'fixture-basic');
+    const { usage } = JSON.parse(fs.readFileSync(path.join(packageDir, fs.readdirSync(packageDir)[0]), 'utf-8'));
+    // dist/ 下的文件不扫描
+    assert.deepEqual([usage.repos, usage.scannedFiles], [['app-a', 'app-b'], 2]);
+    assert.deepEqual(usage.apis.Color, { count: 2, repos: { 'app-a': 1, 'app-b': 1 } });
+    assert.deepEqual(usage.rankedUndocumented.map(({ name, count }) => [name, count]), [['Color', 2], ['inner', 1], ['Utils', 1], ['Props', 0]]);
+    assert.deepEqual(usage.unused.map(({ name }) => name), ['stub', 'add', 'log', 'more', 'Options', 'Props']);
+});
+
+test('stability: exports are grouped by stability tag, with @since and deprecated warnings', () => {
+    const report = analyze('stability');
+    assert.deepEqual(report.js.stability, {
+        public: ['load'],
+        beta: ['stream'],
+        alpha: [],
+        experimental: ['watch'],
+        // @deprecated 优先于同时出现的 @beta
+        deprecated: ['legacyLoad', 'oldConfig', 'read'],
+        untagged: ['helper'],
+    });
+    assert.equal(report.js.stabilityCounts.deprecated, 3);
+    assert.deepEqual(report.js.since, { load: '1.0.0', legacyLoad: '0.1.0', watch: '2.0.0' });
+    assert.deepEqual(['legacyLoad', 'oldConfig', 'read'].map(name => report.js.lifecycle[name].replacement), [true, false, true]);
+    assert.deepEqual(report.warnings.filter(warning => warning.startsWith('Deprecated API has no replacement')),
+        ['Deprecated API has no replacement hint (@see or "use X instead"): oldConfig']);
+    assert.ok(report.warnings.includes('Deprecated API is still exported from the main entry: read (declared in index.js)'));
+});
+
+test('external docs: README, docs/ and Storybook mentions are credited separately from JSDoc', () => {
+    const report = analyze('external-docs');
+    assert.deepEqual(report.externalDocs.files, ['README.md', 'docs/Modal.mdx', 'docs/requests.md', 'src/Button.stories.js']);
+    assert.deepEqual(report.js.docSources, {
+        createClient: 'both',
+        send: 'both',
+        retry: 'external',
+        Button: 'external',
+        Modal: 'external',
+        internal: 'inline',
+        unlisted: 'none',
+    });
+    assert.deepEqual(report.js.docSourceCounts, { inline: 1, external: 3, both: 2, none: 1 });
+    assert.deepEqual(report.js.external.send, [{ file: 'docs/requests.md', kind: 'heading' }]);
+    assert.deepEqual(report.js.external.retry, [{ file: 'README.md', kind: 'code' }]);
+    assert.deepEqual(report.js.external.Button, [{ file: 'src/Button.stories.js', kind: 'story' }]);
+    // check/diff/trend 仍只按 JSDoc 计数
+    assert.deepEqual(counts(report, 'js'), { total: 7, documented: 3 });
+});
+
+test('mf-configs: exposes are evaluated from rspack, Vite and TS federation configs', () => {
+    const report = analyze('mf-configs');
+    const origins = Object.fromEntries(Object.entries(report.mfOrigins)
+        .map(([expose, origin]) => [expose, [origin.config, origin.plugin, origin.import]]));
+    const rspack = ['rspack.config.mjs', 'ModuleFederationPlugin (@module-federation/enhanced/rspack)'];
+    const vite = ['vite.config.ts', 'federation (@originjs/vite-plugin-federation)'];
+    const enhanced = ['module-federation.config.ts', 'createModuleFederationConfig (@module-federation/enhanced)'];
+    assert.deepEqual(origins, {
+        // 展开、字符串拼接与从 ./shared.mjs 导入的常量
+        './Header': [...rspack, './src/Header.js'],
+        './Chart': [...rspack, './src/Chart.js'],
+        // 模板字符串与 { import } 写法
+        './Footer': [...vite, './src/Footer.js'],
+        './Menu': [...vite, './src/Menu.js'],
+        './Dynamic': [...vite, null],
+        // as const / satisfies 与数组写法
+        './Table': [...enhanced, './src/Table.js'],
+        './Legend': [...enhanced, './src/Legend.js'],
+    });
+    assert.deepEqual(report.mf.undocumentedList.sort(), ['./Dynamic', './Legend']);
+    assert.deepEqual(report.warnings, ['Cannot statically evaluate the module path of MF expose ./Dynamic (vite.config.ts)']);
+    assert.deepEqual(report.errors, []);
+});